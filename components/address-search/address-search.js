@@ -1,9 +1,17 @@
 /**
  * Address Search Component
- * Handles address autocomplete with debouncing and search status
+ * Handles address autocomplete with debouncing and search status, as a
+ * WAI-ARIA combobox: the input owns a listbox of suggestions, highlighted
+ * with aria-activedescendant so focus never leaves the input
  */
 
-import { searchAddresses } from '../../services/geocoding.js';
+import { searchAddresses, labelCoordinates, getSearchScope, setSearchScope } from '../../services/geocoding.js';
+import { describeError } from '../../services/errors.js';
+import { parseCoordinates, formatCoordinates } from '../../utils/geo.js';
+
+// Number of suggestions listed
+const MAX_SUGGESTIONS = 10;
+
 
 export class AddressSearch {
     constructor(containerId, onAddressSelect, onAutocompleteResults) {
@@ -15,9 +23,16 @@ export class AddressSearch {
         this.currentSearchRequest = null;
         this.isLocationSelected = false;
 
+        // Selectable suggestions, each {element, select}, and the highlighted one
+        this.options = [];
+        this.activeIndex = -1;
+
         this.input = null;
         this.statusIcon = null;
         this.suggestionsList = null;
+        this.announcer = null;
+        this.scopeSelect = null;
+        this.countriesInput = null;
 
         this.render();
         this.attachEventListeners();
@@ -28,25 +43,173 @@ export class AddressSearch {
         // which would cover our custom address suggestions and require users to manually
         // clear the browser's prefilled suggestions before seeing our results
         this.container.innerHTML = `
-            <label for="address">Enter address:</label>
+            <div class="address-label-row">
+                <label for="address" id="addressLabel">Enter address:</label>
+                <div class="search-scope">
+                    <label for="searchScope">Search in</label>
+                    <select id="searchScope">
+                        <option value="auto">My country</option>
+                        <option value="worldwide">Worldwide</option>
+                        <option value="custom">Chosen countries</option>
+                    </select>
+                    <input type="text" id="searchCountries" placeholder="e.g. us, ca, mx" autocomplete="off"
+                           aria-label="Country codes, separated by commas" hidden>
+                </div>
+            </div>
             <div class="input-wrapper">
-                <input type="text" id="address" placeholder="Start typing an address..." autocomplete="off">
-                <span id="searchStatus" class="search-status"></span>
+                <input type="text" id="address" placeholder="Start typing an address, or enter coordinates..." autocomplete="off"
+                       role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="suggestions">
+                <span id="searchStatus" class="search-status" aria-hidden="true"></span>
             </div>
-            <ul id="suggestions"></ul>
+            <ul id="suggestions" role="listbox" aria-labelledby="addressLabel" hidden></ul>
+            <div id="searchAnnouncer" class="visually-hidden" role="status" aria-live="polite"></div>
         `;
 
         this.input = document.getElementById('address');
         this.statusIcon = document.getElementById('searchStatus');
         this.suggestionsList = document.getElementById('suggestions');
+        this.announcer = document.getElementById('searchAnnouncer');
+        this.scopeSelect = document.getElementById('searchScope');
+        this.countriesInput = document.getElementById('searchCountries');
+
+        const scope = getSearchScope();
+        if (Array.isArray(scope)) {
+            this.scopeSelect.value = 'custom';
+            this.countriesInput.value = scope.join(', ');
+            this.countriesInput.hidden = false;
+        } else {
+            this.scopeSelect.value = scope;
+        }
     }
 
     setUserLocation(location) {
         this.userLocation = location;
+        if (location.country) {
+            this.scopeSelect.querySelector('option[value="auto"]').textContent = `My country (${location.country})`;
+        }
+    }
+
+    /**
+     * Apply the scope picked in the "Search in" controls and repeat the current search
+     */
+    handleScopeChange() {
+        const choice = this.scopeSelect.value;
+        this.countriesInput.hidden = choice !== 'custom';
+
+        if (choice === 'custom') {
+            const codes = this.countriesInput.value.split(/[\s,;]+/).filter(Boolean);
+            // Keep the previous scope until at least one country is entered
+            if (codes.length === 0) {
+                this.countriesInput.focus();
+                return;
+            }
+            setSearchScope(codes);
+            this.countriesInput.value = getSearchScope().join(', ');
+        } else {
+            setSearchScope(choice);
+        }
+
+        if (!this.isLocationSelected && this.input.value.trim().length >= 3) {
+            this.handleInput({ target: this.input });
+        }
+    }
+
+    /**
+     * Describe an empty result for the current scope
+     * @returns {string} Message for the suggestion list and screen readers
+     */
+    getEmptyMessage() {
+        const scope = getSearchScope();
+        if (scope === 'worldwide' || (scope === 'auto' && !this.userLocation?.country_code)) {
+            return 'No matching addresses found.';
+        }
+        const where = scope === 'auto'
+            ? this.userLocation.country || this.userLocation.country_code.toUpperCase()
+            : scope.map(code => code.toUpperCase()).join(', ');
+        return `No matching addresses found in ${where}. Try searching worldwide.`;
+    }
+
+    /**
+     * Fill the input without triggering a search, e.g. when restoring a permalink
+     * @param {string} value - Address text to show
+     */
+    setInputValue(value) {
+        this.isLocationSelected = true;
+        this.input.value = value;
+        this.clearSuggestions();
+        this.setStatus('');
     }
 
     attachEventListeners() {
         this.input.addEventListener('input', (e) => this.handleInput(e));
+        this.input.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.scopeSelect.addEventListener('change', () => this.handleScopeChange());
+        this.countriesInput.addEventListener('change', () => this.handleScopeChange());
+
+        // Close when focus or a click goes elsewhere. Suggestions keep focus in
+        // the input on mousedown, so clicking one doesn't count as leaving.
+        this.input.addEventListener('blur', () => this.closeSuggestions());
+        this.suggestionsList.addEventListener('mousedown', (e) => e.preventDefault());
+        document.addEventListener('click', (e) => {
+            if (!this.container.contains(e.target)) this.closeSuggestions();
+        });
+    }
+
+    /**
+     * Keyboard interaction from the WAI-ARIA combobox pattern
+     * @param {KeyboardEvent} e - Keydown event on the input
+     */
+    handleKeyDown(e) {
+        const isOpen = !this.suggestionsList.hidden;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!isOpen) {
+                    this.openSuggestions();
+                    // Alt+Down only opens; plain Down also moves onto the first suggestion
+                    if (!e.altKey) this.setActiveOption(0);
+                } else {
+                    this.setActiveOption(this.activeIndex + 1);
+                }
+                break;
+
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!isOpen) {
+                    this.openSuggestions();
+                    this.setActiveOption(this.options.length - 1);
+                } else {
+                    this.setActiveOption(this.activeIndex - 1);
+                }
+                break;
+
+            case 'Enter': {
+                if (isOpen && this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.options[this.activeIndex].select();
+                    return;
+                }
+                // Enter picks typed coordinates straight away
+                const coordinates = parseCoordinates(this.input.value);
+                if (coordinates) {
+                    e.preventDefault();
+                    this.selectCoordinates(coordinates);
+                }
+                break;
+            }
+
+            case 'Escape':
+                // First Escape closes the list, a second clears the input
+                e.preventDefault();
+                if (isOpen) {
+                    this.closeSuggestions();
+                } else if (this.input.value) {
+                    this.input.value = '';
+                    this.input.dispatchEvent(new Event('input'));
+                }
+                break;
+        }
     }
 
     async handleInput(e) {
@@ -69,13 +232,20 @@ export class AddressSearch {
 
         // Hide status icon when input is too short
         if (val.length < 3) {
-            this.suggestionsList.innerHTML = '';
-            this.statusIcon.className = 'search-status';
+            this.clearSuggestions();
+            this.setStatus('');
+            return;
+        }
+
+        // Coordinates are offered as-is rather than searched for
+        const coordinates = parseCoordinates(val);
+        if (coordinates) {
+            this.displayCoordinateOption(coordinates);
             return;
         }
 
         // Show loading spinner
-        this.statusIcon.className = 'search-status loading';
+        this.setStatus('loading', 'Searching for addresses…');
 
         // Debounce the search - wait 300ms after user stops typing
         this.searchTimeout = setTimeout(async () => {
@@ -86,12 +256,13 @@ export class AddressSearch {
                 const results = await searchAddresses(
                     val,
                     this.userLocation,
-                    this.currentSearchRequest.signal
+                    this.currentSearchRequest.signal,
+                    'autocomplete'
                 );
 
                 // Don't update UI if user has already selected a location
                 if (this.isLocationSelected) {
-                    this.statusIcon.className = 'search-status';
+                    this.setStatus('');
                     return;
                 }
 
@@ -99,7 +270,7 @@ export class AddressSearch {
 
                 // Notify parent component about autocomplete results
                 if (this.onAutocompleteResults) {
-                    this.onAutocompleteResults(results);
+                    this.onAutocompleteResults(results, val);
                 }
 
                 this.currentSearchRequest = null;
@@ -107,32 +278,46 @@ export class AddressSearch {
             } catch (err) {
                 // Ignore abort errors
                 if (err.name === 'AbortError') {
-                    this.statusIcon.className = 'search-status';
+                    this.setStatus('');
                     return;
                 }
                 console.error('Autocomplete error:', err);
-                this.statusIcon.className = 'search-status';
+                const { title, message } = describeError(err);
+                this.displayMessage(`${title}. ${message}`);
                 this.currentSearchRequest = null;
             }
         }, 300);
     }
 
-    displayResults(results) {
-        this.suggestionsList.innerHTML = '';
+    /**
+     * Show a message in place of suggestions, e.g. no matches or why the search failed
+     * @param {string} message - Message text
+     */
+    displayMessage(message) {
+        this.clearSuggestions();
+
+        // Shown but not selectable, so arrow keys skip it
+        const li = document.createElement('li');
+        li.className = 'suggestion-empty';
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-disabled', 'true');
+        li.textContent = message;
+        this.suggestionsList.appendChild(li);
+        this.openSuggestions();
+        this.setStatus('', message);
+    }
 
+    displayResults(results) {
         if (results.length === 0) {
-            const li = document.createElement('li');
-            li.style.color = '#666';
-            li.style.fontStyle = 'italic';
-            li.style.cursor = 'default';
-            li.textContent = 'No valid addresses found. Only US addresses are supported.';
-            this.suggestionsList.appendChild(li);
-            this.statusIcon.className = 'search-status';
+            this.displayMessage(this.getEmptyMessage());
             return;
         }
 
+        this.clearSuggestions();
+
         // Show success checkmark
-        this.statusIcon.className = 'search-status success';
+        const shown = results.slice(0, MAX_SUGGESTIONS);
+        this.setStatus('success', `${shown.length} ${shown.length === 1 ? 'address' : 'addresses'} found. Use the up and down arrows to review.`);
 
         // Hide checkmark after 2 seconds
         setTimeout(() => {
@@ -141,32 +326,134 @@ export class AddressSearch {
             }
         }, 2000);
 
-        // Display top 10 results
-        results.slice(0, 10).forEach(place => {
-            const li = document.createElement('li');
-            const cleanAddress = this.buildCleanAddress(place.address);
-            li.textContent = cleanAddress || place.display_name;
-
-            li.onclick = () => this.selectAddress(place, cleanAddress);
-            this.suggestionsList.appendChild(li);
+        shown.forEach(place => {
+            this.addOption(place.label || place.display_name, () => this.selectAddress(place));
         });
+        this.openSuggestions();
+    }
+
+    /**
+     * Offer typed coordinates as the only suggestion
+     * @param {Object} coordinates - Parsed coordinates {latitude, longitude}
+     */
+    displayCoordinateOption(coordinates) {
+        this.clearSuggestions();
+        this.setStatus('', 'Coordinates recognised. Press Enter to use them.');
+
+        const li = this.addOption(
+            `📍 Use coordinates ${formatCoordinates(coordinates.latitude, coordinates.longitude)}`,
+            () => this.selectCoordinates(coordinates)
+        );
+        li.classList.add('coordinate-option');
+        this.openSuggestions();
+    }
+
+    /**
+     * Append a selectable suggestion
+     * @param {string} text - Suggestion text
+     * @param {Function} select - Called when the suggestion is chosen
+     * @returns {HTMLLIElement} Suggestion element
+     */
+    addOption(text, select) {
+        const index = this.options.length;
+        const li = document.createElement('li');
+        li.id = `suggestion-${index}`;
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', 'false');
+        li.textContent = text;
+
+        li.onclick = select;
+        li.onmousemove = () => {
+            if (this.activeIndex !== index) this.setActiveOption(index);
+        };
+
+        this.suggestionsList.appendChild(li);
+        this.options.push({ element: li, select });
+        return li;
     }
 
-    buildCleanAddress(addr) {
-        if (!addr) return '';
+    /**
+     * Highlight a suggestion, wrapping past either end
+     * @param {number} index - Suggestion index
+     */
+    setActiveOption(index) {
+        if (this.options.length === 0) return;
+        const wrapped = (index + this.options.length) % this.options.length;
+
+        this.options[this.activeIndex]?.element.setAttribute('aria-selected', 'false');
+        this.activeIndex = wrapped;
+
+        const { element } = this.options[wrapped];
+        element.setAttribute('aria-selected', 'true');
+        element.scrollIntoView?.({ block: 'nearest' });
+        this.input.setAttribute('aria-activedescendant', element.id);
+    }
 
-        const parts = [];
-        if (addr.house_number) parts.push(addr.house_number);
-        if (addr.road) parts.push(addr.road);
-        if (addr.city || addr.town || addr.village) parts.push(addr.city || addr.town || addr.village);
-        if (addr.state) parts.push(addr.state);
-        if (addr.postcode) parts.push(addr.postcode);
-        if (addr.country) parts.push(addr.country);
+    openSuggestions() {
+        if (this.suggestionsList.children.length === 0) return;
+        this.suggestionsList.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    closeSuggestions() {
+        this.suggestionsList.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.options[this.activeIndex]?.element.setAttribute('aria-selected', 'false');
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+    }
 
-        return parts.join(', ');
+    clearSuggestions() {
+        this.closeSuggestions();
+        this.suggestionsList.innerHTML = '';
+        this.options = [];
+    }
+
+    /**
+     * Set the status icon and announce the change to screen readers
+     * @param {string} state - '' (hidden), 'loading' or 'success'
+     * @param {string} announcement - Text for the live region, if any
+     */
+    setStatus(state, announcement = '') {
+        this.statusIcon.className = state ? `search-status ${state}` : 'search-status';
+        if (announcement) {
+            this.announcer.textContent = announcement;
+        }
     }
 
-    selectAddress(place, cleanAddress) {
+    /**
+     * Select a point by coordinates, labelled with the nearest address
+     * @param {Object} coordinates - Coordinates {latitude, longitude}
+     */
+    async selectCoordinates({ latitude, longitude }) {
+        if (this.searchTimeout) {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = null;
+        }
+        if (this.currentSearchRequest) {
+            this.currentSearchRequest.abort();
+        }
+
+        this.isLocationSelected = true;
+        this.clearSuggestions();
+        this.setStatus('loading', 'Finding the nearest address…');
+
+        const request = new AbortController();
+        this.currentSearchRequest = request;
+
+        try {
+            const place = await labelCoordinates(latitude, longitude, request.signal);
+            this.currentSearchRequest = null;
+            this.selectAddress(place);
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.error('Coordinate lookup error:', err);
+            this.setStatus('');
+            this.currentSearchRequest = null;
+        }
+    }
+
+    selectAddress(place) {
         // Mark that user has selected a location
         this.isLocationSelected = true;
 
@@ -176,19 +463,13 @@ export class AddressSearch {
             this.currentSearchRequest = null;
         }
 
-        this.input.value = cleanAddress || place.display_name;
-        this.suggestionsList.innerHTML = '';
-        this.statusIcon.className = 'search-status';
+        this.input.value = place.label || place.display_name;
+        this.clearSuggestions();
+        this.setStatus('', `Selected ${this.input.value}`);
 
-        // Trigger callback with selected address
+        // Trigger callback with the selected place
         if (this.onAddressSelect) {
-            this.onAddressSelect({
-                latitude: parseFloat(place.lat),
-                longitude: parseFloat(place.lon),
-                display_name: place.display_name,
-                address: place.address,
-                type: place.type
-            });
+            this.onAddressSelect(place);
         }
     }
 }
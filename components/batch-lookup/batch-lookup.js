@@ -0,0 +1,154 @@
+/**
+ * Batch Lookup Component
+ * Uploads a CSV of addresses and timestamps and downloads it enriched with weather
+ */
+
+import { parseCSVRecords } from '../../utils/csv.js';
+import { detectBatchColumns, runBatchLookup, buildBatchCSV } from '../../services/batch.js';
+import { describeError } from '../../services/errors.js';
+import { convertWeatherData } from '../../utils/units.js';
+
+export class BatchLookup {
+    constructor(containerId, getUnitSettings) {
+        this.container = document.getElementById(containerId);
+        this.getUnitSettings = getUnitSettings;
+        this.currentBatch = null;
+        this.downloadUrl = null;
+
+        this.fileInput = null;
+        this.runBtn = null;
+        this.cancelBtn = null;
+        this.progress = null;
+        this.status = null;
+        this.downloadLink = null;
+
+        this.render();
+        this.attachEventListeners();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <h3>Batch Lookup</h3>
+            <p class="batch-hint">
+                Upload a CSV with an <code>address</code> column and either a <code>datetime</code> column
+                or <code>date</code> and <code>time</code> columns. Times are read as local time at each address,
+                unless they end in <code>Z</code> or a UTC offset such as <code>+02:00</code>.
+            </p>
+            <div class="batch-controls">
+                <input type="file" id="batchFile" accept=".csv,text/csv">
+                <button type="button" id="batchRun" class="batch-btn" disabled>Run batch</button>
+                <button type="button" id="batchCancel" class="batch-btn secondary hidden">Cancel</button>
+            </div>
+            <progress id="batchProgress" class="hidden" value="0" max="1"></progress>
+            <div id="batchStatus" class="batch-status" role="status" aria-live="polite"></div>
+            <a id="batchDownload" class="batch-download hidden" download="weather-batch.csv">⬇ Download enriched CSV</a>
+        `;
+
+        this.fileInput = document.getElementById('batchFile');
+        this.runBtn = document.getElementById('batchRun');
+        this.cancelBtn = document.getElementById('batchCancel');
+        this.progress = document.getElementById('batchProgress');
+        this.status = document.getElementById('batchStatus');
+        this.downloadLink = document.getElementById('batchDownload');
+    }
+
+    attachEventListeners() {
+        this.fileInput.addEventListener('change', () => {
+            this.runBtn.disabled = !this.fileInput.files.length;
+        });
+        this.runBtn.addEventListener('click', () => this.run());
+        this.cancelBtn.addEventListener('click', () => this.cancel());
+    }
+
+    setRunning(isRunning) {
+        this.runBtn.disabled = isRunning;
+        this.fileInput.disabled = isRunning;
+        this.cancelBtn.classList.toggle('hidden', !isRunning);
+        this.progress.classList.toggle('hidden', !isRunning);
+    }
+
+    async run() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        this.clearDownload();
+
+        let headers;
+        let records;
+        let columns;
+        try {
+            ({ headers, records } = parseCSVRecords(await file.text()));
+            columns = detectBatchColumns(headers);
+        } catch (err) {
+            this.status.textContent = err.message;
+            return;
+        }
+
+        if (records.length === 0) {
+            this.status.textContent = 'The CSV has no data rows.';
+            return;
+        }
+
+        this.currentBatch = new AbortController();
+        this.setRunning(true);
+
+        try {
+            const results = await runBatchLookup(records, columns, {
+                signal: this.currentBatch.signal,
+                onProgress: (progress) => this.updateProgress(progress)
+            });
+
+            const failed = results.filter(result => result.error).length;
+            this.status.textContent = `Done: ${results.length - failed} of ${results.length} rows enriched${failed ? `, ${failed} with errors (see the error column)` : ''}.`;
+
+            // Write weather columns in the units the user has chosen
+            const unitSettings = this.getUnitSettings ? this.getUnitSettings() : null;
+            const converted = unitSettings
+                ? results.map(result => ({
+                    ...result,
+                    weatherData: result.weatherData && convertWeatherData(result.weatherData, unitSettings)
+                }))
+                : results;
+            this.offerDownload(buildBatchCSV(headers, converted), file.name);
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                this.status.textContent = 'Batch cancelled.';
+            } else {
+                console.error('Batch error:', err);
+                const { title, message } = describeError(err);
+                this.status.textContent = `Batch failed. ${title}. ${message}`;
+            }
+        } finally {
+            this.currentBatch = null;
+            this.setRunning(false);
+        }
+    }
+
+    cancel() {
+        if (this.currentBatch) {
+            this.currentBatch.abort();
+        }
+    }
+
+    updateProgress({ phase, completed, total }) {
+        this.progress.max = Math.max(total, 1);
+        this.progress.value = completed;
+        const label = phase === 'geocoding' ? 'Geocoding addresses' : 'Fetching weather';
+        this.status.textContent = `${label}… ${completed} of ${total} steps`;
+    }
+
+    offerDownload(csv, sourceName) {
+        this.downloadUrl = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        this.downloadLink.href = this.downloadUrl;
+        this.downloadLink.download = sourceName.replace(/\.csv$/i, '') + '-weather.csv';
+        this.downloadLink.classList.remove('hidden');
+    }
+
+    clearDownload() {
+        if (this.downloadUrl) {
+            URL.revokeObjectURL(this.downloadUrl);
+            this.downloadUrl = null;
+        }
+        this.downloadLink.classList.add('hidden');
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * Comparison Table Component
+ * Shows weather for several pinned locations side by side, highlighting differences
+ */
+
+import { PARAMETER_LABELS } from '../weather-display/weather-display.js';
+import { escapeHTML } from '../../utils/html.js';
+import {
+    getWeatherCondition,
+    formatValue,
+    formatField,
+    markInterpolated,
+    getWindDirection,
+    getTimezoneLabel
+} from '../../utils/weather-format.js';
+
+// Parameters compared by value rather than by magnitude
+const NON_NUMERIC_PARAMS = ['weather_code', 'wind_direction_10m'];
+
+export class ComparisonTable {
+    constructor(containerId, onPin, onRemove) {
+        this.container = document.getElementById(containerId);
+        this.onPin = onPin;
+        this.onRemove = onRemove;
+        this.selectedAddress = null;
+        this.entries = [];
+        this.lookup = null;
+
+        this.renderComparison([]);
+    }
+
+    /**
+     * Get a short label for a location, e.g. "123 Main Street, Springfield"
+     * @param {Object} address - Selected address from AddressSearch
+     * @returns {string} Location label
+     */
+    getLocationLabel(address) {
+        const addr = address.address || {};
+        const street = [addr.house_number, addr.road].filter(Boolean).join(' ');
+        const city = addr.city || addr.town || addr.village;
+        // Coordinate picks have no street, so lead with their coordinates
+        const label = [street || address.name, city].filter(Boolean).join(', ');
+        return label || address.display_name.split(',').slice(0, 2).join(',');
+    }
+
+    /**
+     * Enable pinning once the user has selected an address
+     * @param {Object} address - Selected address from AddressSearch
+     */
+    setSelectedAddress(address) {
+        this.selectedAddress = address;
+        const pinBtn = this.container.querySelector('.pin-btn');
+        if (pinBtn) pinBtn.disabled = !address;
+    }
+
+    /**
+     * Show a spinner while the pinned locations are fetched for a new time
+     * @param {Object} lookup - Time being compared (see renderComparison)
+     */
+    showLoading(lookup = this.lookup) {
+        this.renderComparison(this.entries, { loading: true, lookup });
+    }
+
+    /**
+     * Render the pin bar and, when anything is pinned, the comparison table
+     * @param {Array<Object>} entries - One {address, weatherData, error} per pinned location
+     * @param {Object} options - Render options
+     * @param {boolean} options.loading - Show a spinner in place of the table
+     * @param {Object} options.lookup - Time being compared {date, time, interpolate, rangeStart},
+     *   rangeStart marking a range lookup compared at its start
+     */
+    renderComparison(entries, { loading = false, lookup = this.lookup } = {}) {
+        this.entries = entries;
+        this.lookup = lookup;
+
+        this.container.innerHTML = `
+            <div class="comparison-header">
+                <h3>Compare Locations</h3>
+                <button type="button" class="pin-btn" ${this.selectedAddress ? '' : 'disabled'}>📌 Pin selected address</button>
+            </div>
+            ${this.entries.length > 0 ? this.renderLookup() : ''}
+            ${loading ? this.renderLoading() : this.renderBody()}
+        `;
+
+        this.container.querySelector('.pin-btn').addEventListener('click', () => {
+            if (this.onPin) this.onPin();
+        });
+        this.container.querySelectorAll('.unpin-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.onRemove) this.onRemove(parseInt(btn.dataset.index, 10));
+            });
+        });
+    }
+
+    /**
+     * Say which local time the pinned locations are compared at
+     * @returns {string} Caption HTML, or an empty string before the first comparison
+     */
+    renderLookup() {
+        if (!this.lookup) return '';
+
+        const { date, time, interpolate, rangeStart } = this.lookup;
+        const notes = [
+            interpolate ? 'interpolated' : '',
+            rangeStart ? 'the start of the selected range' : ''
+        ].filter(Boolean);
+        return `<p class="comparison-when">Compared at <strong>${escapeHTML(`${date} ${time}`)}</strong> local time at each location${notes.length > 0 ? ` (${notes.join(', ')})` : ''}</p>`;
+    }
+
+    renderLoading() {
+        return `
+            <div class="weather-loading">
+                <div class="spinner"></div>
+                <p>Loading weather for pinned locations...</p>
+            </div>
+        `;
+    }
+
+    renderBody() {
+        if (this.entries.length === 0) {
+            return `<p class="comparison-hint">Pin two or more addresses to compare their weather at the same local date and time.</p>`;
+        }
+
+        const loaded = this.entries.filter(entry => entry.weatherData);
+        const params = Object.keys(PARAMETER_LABELS)
+            .filter(param => loaded.some(entry => param in entry.weatherData.hourly_data));
+
+        return `
+            <div class="comparison-scroll">
+                <table class="comparison-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Parameter</th>
+                            ${this.entries.map((entry, i) => {
+                                const label = escapeHTML(this.getLocationLabel(entry.address));
+                                return `
+                                <th scope="col">
+                                    <span class="comparison-location">${label}</span>
+                                    <button type="button" class="unpin-btn" data-index="${i}" aria-label="Remove ${label}">×</button>
+                                </th>
+                            `;
+                            }).join('')}
+                            <th scope="col">Spread</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <th scope="row">Time</th>
+                            ${this.entries.map(entry => `<td>${entry.weatherData ? entry.weatherData.requested_time : ''}</td>`).join('')}
+                            <td></td>
+                        </tr>
+                        <tr>
+                            <th scope="row">Timezone</th>
+                            ${this.entries.map(entry => `<td>${entry.weatherData ? getTimezoneLabel(entry.weatherData) : ''}</td>`).join('')}
+                            <td></td>
+                        </tr>
+                        ${params.map(param => this.renderRow(param)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${this.entries.some(entry => entry.error) ? `<p class="comparison-hint">Some locations could not be loaded. Check the console for details.</p>` : ''}
+            <p class="comparison-legend"><span class="is-max">Highest</span> and <span class="is-min">lowest</span> values are highlighted where locations differ.</p>
+        `;
+    }
+
+    /**
+     * Render one parameter across all locations, marking where they differ
+     * @param {string} param - Hourly parameter name
+     * @returns {string} Table row HTML
+     */
+    renderRow(param) {
+        const values = this.entries.map(entry => entry.weatherData?.hourly_data[param]);
+        const present = values.filter(v => v !== null && v !== undefined);
+        const isNumeric = !NON_NUMERIC_PARAMS.includes(param);
+        const differs = new Set(present).size > 1;
+
+        const min = isNumeric && present.length > 0 ? Math.min(...present) : null;
+        const max = isNumeric && present.length > 0 ? Math.max(...present) : null;
+        const unit = this.entries.find(entry => entry.weatherData)?.weatherData.units[param] || '';
+
+        const cells = this.entries.map((entry, i) => {
+            if (entry.error) return `<td class="comparison-error">Error</td>`;
+
+            const classes = [];
+            if (differs && isNumeric && values[i] === max) classes.push('is-max');
+            if (differs && isNumeric && values[i] === min) classes.push('is-min');
+            return `<td class="${classes.join(' ')}">${this.formatCell(entry.weatherData, param)}</td>`;
+        });
+
+        const spread = differs && isNumeric
+            ? formatValue(parseFloat((max - min).toFixed(2)), unit)
+            : (differs ? 'Differs' : '—');
+
+        return `
+            <tr class="${differs ? 'differs' : ''}">
+                <th scope="row">${PARAMETER_LABELS[param]}</th>
+                ${cells.join('')}
+                <td class="comparison-spread">${spread}</td>
+            </tr>
+        `;
+    }
+
+    formatCell(weatherData, param) {
+        const value = weatherData.hourly_data[param];
+        if (param === 'weather_code') {
+            return markInterpolated(weatherData, param, getWeatherCondition(value));
+        }
+        if (param === 'wind_direction_10m') {
+            return markInterpolated(weatherData, param, getWindDirection(value));
+        }
+        return formatField(weatherData, param);
+    }
+}
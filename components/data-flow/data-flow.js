@@ -3,6 +3,8 @@
  * Shows the data flow through different API phases
  */
 
+import { describeError } from '../../services/errors.js';
+
 export class DataFlow {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
@@ -26,11 +28,11 @@ export class DataFlow {
                 <div class="phase-header">
                     <span class="phase-number">1</span>
                     <div class="phase-info">
-                        <h3>IP Geolocation (On Page Load)</h3>
-                        <p>Approximate user location to prioritize nearby addresses</p>
+                        <h3>User Location (On Page Load)</h3>
+                        <p>Home area, device position or IP geolocation, to prioritize nearby addresses</p>
                     </div>
                 </div>
-                <pre class="code-snippet" id="ipData"><code>Waiting for IP geolocation...</code></pre>
+                <pre class="code-snippet" id="ipData"><code>Waiting for user location...</code></pre>
             </div>
 
             <!-- Phase 2: Address Autocomplete -->
@@ -39,7 +41,7 @@ export class DataFlow {
                     <span class="phase-number">2</span>
                     <div class="phase-info">
                         <h3>Address Search (User Types)</h3>
-                        <p>Fetch autocomplete results from Nominatim API</p>
+                        <p>Fetch autocomplete results from the geocoding provider</p>
                     </div>
                 </div>
                 <pre class="code-snippet" id="autocompleteData"><code>Type an address to see autocomplete results...</code></pre>
@@ -63,11 +65,35 @@ export class DataFlow {
                     <span class="phase-number">4</span>
                     <div class="phase-info">
                         <h3>Weather Data (API Response)</h3>
-                        <p>Historical weather data from Open-Meteo API</p>
+                        <p>Historical weather data from the weather provider, with derived indices and sun and moon context calculated locally</p>
                     </div>
                 </div>
                 <pre class="code-snippet" id="weatherData"><code>Weather data will appear after selecting an address...</code></pre>
             </div>
+
+            <!-- Response Cache -->
+            <div class="flow-phase">
+                <div class="phase-header">
+                    <span class="phase-number">5</span>
+                    <div class="phase-info">
+                        <h3>Response Cache (IndexedDB)</h3>
+                        <p>Geocoding and weather responses served from cache (hit) or the network (miss)</p>
+                    </div>
+                </div>
+                <pre class="code-snippet" id="cacheData"><code>No cache lookups yet...</code></pre>
+            </div>
+
+            <!-- Request Queue -->
+            <div class="flow-phase">
+                <div class="phase-header">
+                    <span class="phase-number">6</span>
+                    <div class="phase-info">
+                        <h3>Request Queue (Rate Limits)</h3>
+                        <p>Geocoding requests waiting for their provider's rate limit, shared or dropped when superseded</p>
+                    </div>
+                </div>
+                <pre class="code-snippet" id="queueData"><code>No geocoding requests yet...</code></pre>
+            </div>
             </div>
         `;
     }
@@ -105,24 +131,55 @@ export class DataFlow {
         return JSON.stringify(data, null, 2);
     }
 
+    /**
+     * Show text in a phase's output block
+     *
+     * Output includes geocoder labels, saved history, permalink names, typed
+     * queries and provider error text, so it's only ever set as text.
+     *
+     * @param {HTMLElement} element - Phase output element
+     * @param {string} text - Text to show
+     */
+    setCode(element, text) {
+        const code = document.createElement('code');
+        code.textContent = text;
+        element.replaceChildren(code);
+    }
+
     updateIPData(ipData) {
         const element = document.getElementById('ipData');
         if (element) {
-            element.innerHTML = `<code>${this.formatJSON(ipData)}</code>`;
+            this.setCode(element, this.formatJSON(ipData));
         }
     }
 
-    updateAutocompleteData(results, totalResults) {
+    /**
+     * Show the parsed query and the first autocomplete results with their score breakdowns
+     * @param {Array<Object>} results - Normalised places, ranked
+     * @param {number} totalResults - Number of results
+     * @param {Object|null} search - Search plan from parseSearchQuery
+     */
+    updateAutocompleteData(results, totalResults, search = null) {
         const element = document.getElementById('autocompleteData');
         if (element) {
+            let parsed = '';
+            if (search) {
+                const mode = search.structured
+                    ? 'structured (street, city, state, postcode; free-form if nothing matches)'
+                    : 'free-form';
+                parsed = `// Parsed query, searched ${mode} in ${search.countries ? search.countries.join(', ') : 'all countries'}\n${this.formatJSON(search.address)}\n\n`;
+            }
+
             const displayData = results.slice(0, 3).map(place => ({
-                display_name: place.display_name,
-                lat: place.lat,
-                lon: place.lon,
+                provider: place.provider,
+                label: place.label,
+                latitude: place.latitude,
+                longitude: place.longitude,
                 address: place.address,
-                type: place.type
+                type: place.type,
+                ranking: place.ranking
             }));
-            element.innerHTML = `<code>${this.formatJSON(displayData)}\n\n// Total results: ${totalResults}\n// Valid addresses: ${results.length}</code>`;
+            this.setCode(element, `${parsed}// Ranked by score: text match, house number, importance and distance\n${this.formatJSON(displayData)}\n\n// Total results: ${totalResults}\n// Valid addresses: ${results.length}`);
         }
     }
 
@@ -130,42 +187,81 @@ export class DataFlow {
         const element = document.getElementById('selectedAddress');
         if (element) {
             const selectedInfo = {
+                provider: addressData.provider,
+                id: addressData.id,
                 display_name: addressData.display_name,
                 latitude: addressData.latitude,
                 longitude: addressData.longitude,
-                address: {
-                    house_number: addressData.address?.house_number,
-                    road: addressData.address?.road,
-                    city: addressData.address?.city || addressData.address?.town || addressData.address?.village,
-                    state: addressData.address?.state,
-                    postcode: addressData.address?.postcode,
-                    country: addressData.address?.country
-                },
+                address: addressData.address,
                 type: addressData.type
             };
-            element.innerHTML = `<code>${this.formatJSON(selectedInfo)}</code>`;
+            this.setCode(element, this.formatJSON(selectedInfo));
         }
     }
 
     updateWeatherData(weatherData) {
         const element = document.getElementById('weatherData');
         if (element) {
-            element.innerHTML = `<code>${this.formatJSON(weatherData)}</code>`;
+            this.setCode(element, this.formatJSON(weatherData));
         }
     }
 
-    showIPError() {
-        const element = document.getElementById('ipData');
+    updateCacheStats(stats) {
+        const element = document.getElementById('cacheData');
         if (element) {
-            element.innerHTML = `<code>Error loading IP geolocation</code>`;
+            const recent = stats.events.map(event => ({
+                result: event.hit ? 'hit' : 'miss',
+                namespace: event.namespace,
+                key: event.key,
+                at: event.at
+            }));
+            this.setCode(element, `// Hits: ${stats.hits}, misses: ${stats.misses}\n\n${this.formatJSON(recent)}`);
         }
     }
 
-    showWeatherError() {
-        const element = document.getElementById('weatherData');
+    /**
+     * Show each request queue's depth and wait times
+     * @param {Array<Object>} stats - Stats per queue from getRequestQueueStats
+     */
+    updateQueueStats(stats) {
+        const element = document.getElementById('queueData');
+        if (element) {
+            const summary = stats.map(queue =>
+                `// ${queue.name}: ${queue.queued} queued, ${queue.inFlight} in flight, next request waits ${(queue.nextWaitMs / 1000).toFixed(1)} s`
+            ).join('\n');
+            this.setCode(element, `${summary}\n\n${this.formatJSON(stats)}`);
+        }
+    }
+
+    /**
+     * Show a failed request: its error type, the user-facing advice and the request details
+     * @param {string} elementId - Phase output element
+     * @param {string} summary - What was being loaded
+     * @param {Error} err - Error from the services
+     */
+    showError(elementId, summary, err) {
+        const element = document.getElementById(elementId);
         if (element) {
-            element.innerHTML = `<code>Error fetching weather data</code>`;
+            const { title, message } = describeError(err);
+            const details = {
+                type: err.name,
+                message: err.message,
+                service: err.service ?? null,
+                status: err.status ?? null,
+                attempts: err.attempts ?? null
+            };
+            if (err.retryAfterMs != null) details.retryAfterMs = err.retryAfterMs;
+
+            this.setCode(element, `// ${summary}: ${title}\n// ${message}\n${this.formatJSON(details)}`);
         }
     }
+
+    showIPError(err) {
+        this.showError('ipData', 'Error loading IP geolocation', err);
+    }
+
+    showWeatherError(err) {
+        this.showError('weatherData', 'Error fetching weather data', err);
+    }
 }
 
@@ -4,12 +4,18 @@
  */
 
 export class DateTimePicker {
-    constructor(containerId) {
+    constructor(containerId, onChange = null) {
         this.container = document.getElementById(containerId);
+        this.onChange = onChange;
         this.dateInput = null;
         this.timeInput = null;
+        this.interpolateInput = null;
+        this.rangeInput = null;
+        this.endDateInput = null;
+        this.endTimeInput = null;
         this.render();
         this.initialize();
+        this.attachEventListeners();
     }
 
     render() {
@@ -24,10 +30,34 @@ export class DateTimePicker {
                     <input type="time" id="timeInput">
                 </div>
             </div>
+            <div class="datetime-inputs datetime-range-end hidden" id="rangeEndInputs">
+                <div class="datetime-group">
+                    <label for="endDateInput">End date:</label>
+                    <input type="date" id="endDateInput">
+                </div>
+                <div class="datetime-group">
+                    <label for="endTimeInput">End time:</label>
+                    <input type="time" id="endTimeInput">
+                </div>
+            </div>
+            <div class="datetime-options">
+                <label class="datetime-option" for="rangeInput">
+                    <input type="checkbox" id="rangeInput">
+                    Time range
+                </label>
+                <label class="datetime-option" for="interpolateInput">
+                    <input type="checkbox" id="interpolateInput">
+                    Interpolate between hourly samples
+                </label>
+            </div>
         `;
 
         this.dateInput = document.getElementById('dateInput');
         this.timeInput = document.getElementById('timeInput');
+        this.interpolateInput = document.getElementById('interpolateInput');
+        this.rangeInput = document.getElementById('rangeInput');
+        this.endDateInput = document.getElementById('endDateInput');
+        this.endTimeInput = document.getElementById('endTimeInput');
     }
 
     initialize() {
@@ -45,10 +75,70 @@ export class DateTimePicker {
         this.timeInput.value = `${hour}:${minute}`;
     }
 
+    attachEventListeners() {
+        this.rangeInput.addEventListener('change', () => this.toggleRangeMode());
+
+        // Changes typed or picked by the user; setDateTime doesn't fire these
+        [this.dateInput, this.timeInput, this.endDateInput, this.endTimeInput, this.interpolateInput, this.rangeInput]
+            .forEach(input => input.addEventListener('change', () => {
+                if (this.onChange) this.onChange();
+            }));
+    }
+
+    toggleRangeMode() {
+        const isRange = this.rangeInput.checked;
+        document.getElementById('rangeEndInputs').classList.toggle('hidden', !isRange);
+
+        // Start inputs double as the range start
+        document.querySelector('label[for="dateInput"]').textContent = isRange ? 'Start date:' : 'Date:';
+        document.querySelector('label[for="timeInput"]').textContent = isRange ? 'Start time:' : 'Time:';
+
+        // Interpolation only applies to single-time lookups
+        this.interpolateInput.disabled = isRange;
+
+        // Default the range to the rest of the start day
+        if (isRange && !this.endDateInput.value) {
+            this.endDateInput.value = this.dateInput.value;
+            this.endTimeInput.value = '23:59';
+        }
+    }
+
+    isRangeMode() {
+        return this.rangeInput.checked;
+    }
+
+    getRange() {
+        return {
+            start: { date: this.dateInput.value, time: this.timeInput.value },
+            end: { date: this.endDateInput.value, time: this.endTimeInput.value }
+        };
+    }
+
+    /**
+     * Restore the picker, e.g. from a permalink
+     * @param {Object} state - Picker state
+     * @param {string} state.date - Date (or range start date) in YYYY-MM-DD format
+     * @param {string} state.time - Time (or range start time) in HH:MM format
+     * @param {boolean} state.interpolate - Whether interpolation is on
+     * @param {Object|null} state.end - Range end {date, time}, or null for a single time
+     */
+    setDateTime({ date, time, interpolate = false, end = null }) {
+        this.dateInput.value = date;
+        this.timeInput.value = time;
+        this.interpolateInput.checked = interpolate;
+        this.rangeInput.checked = Boolean(end);
+        if (end) {
+            this.endDateInput.value = end.date;
+            this.endTimeInput.value = end.time;
+        }
+        this.toggleRangeMode();
+    }
+
     getDateTime() {
         return {
             date: this.dateInput.value,
-            time: this.timeInput.value
+            time: this.timeInput.value,
+            interpolate: this.interpolateInput.checked
         };
     }
 }
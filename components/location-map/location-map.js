@@ -0,0 +1,393 @@
+/**
+ * Location Map Component
+ * Dependency-free slippy map on raster tiles showing the user's approximate
+ * location, autocomplete candidates and the selected address
+ */
+
+import { CONFIG } from '../../config.js';
+import { projectToPixels, unprojectFromPixels } from '../../utils/geo.js';
+import { escapeHTML } from '../../utils/html.js';
+
+const TILE_SIZE = 256;
+const MIN_ZOOM = 2;
+
+// Contiguous United States, shown until a location is known
+const DEFAULT_VIEW = { latitude: 39.83, longitude: -98.58, zoom: 4 };
+
+// Zoom for the user's location (city level) and a selected address (street level)
+const USER_LOCATION_ZOOM = 10;
+const SELECTED_ZOOM = 16;
+
+// User marker tooltip by where the location came from (see services/location.js)
+const USER_MARKER_TITLES = {
+    home: 'Your home area',
+    device: 'Your location',
+    ip: 'Your approximate location'
+};
+
+// Matches the number of suggestions AddressSearch lists
+const MAX_CANDIDATES = 10;
+
+// Pointer movement below this many pixels is a click rather than a drag
+const CLICK_TOLERANCE_PX = 4;
+
+// Arrow keys pan by this many pixels
+const KEYBOARD_PAN_PX = 100;
+
+// Used while the map is not laid out (e.g. hidden)
+const FALLBACK_SIZE = { width: 600, height: 320 };
+
+export class LocationMap {
+    /**
+     * @param {string} containerId - Container element id
+     * @param {Object} callbacks - Map callbacks
+     * @param {Function} callbacks.onCandidateSelect - Called with the place whose marker was clicked
+     * @param {Function} callbacks.onPointSelect - Called with {latitude, longitude} when the map is clicked or the pin dropped
+     */
+    constructor(containerId, { onCandidateSelect, onPointSelect }) {
+        this.container = document.getElementById(containerId);
+        this.onCandidateSelect = onCandidateSelect;
+        this.onPointSelect = onPointSelect;
+
+        this.center = { latitude: DEFAULT_VIEW.latitude, longitude: DEFAULT_VIEW.longitude };
+        this.zoom = DEFAULT_VIEW.zoom;
+        this.maxZoom = CONFIG.map.maxZoom;
+
+        this.userLocation = null;
+        this.candidates = [];
+        this.selected = null;
+
+        this.tiles = new Map();
+        this.pan = null;
+        this.pinDrag = null;
+
+        this.render();
+        this.attachEventListeners();
+        this.draw();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="map-header">
+                <h3>Map</h3>
+                <span class="map-hint">Click the map or drag the pin to choose a point</span>
+            </div>
+            <div class="map-viewport" tabindex="0" role="application"
+                 aria-label="Map. Arrow keys pan, plus and minus zoom.">
+                <div class="map-tiles"></div>
+                <div class="map-markers"></div>
+                <div class="map-zoom">
+                    <button type="button" data-zoom="1" aria-label="Zoom in">+</button>
+                    <button type="button" data-zoom="-1" aria-label="Zoom out">−</button>
+                </div>
+                <div class="map-attribution">${CONFIG.map.attribution}</div>
+            </div>
+        `;
+
+        this.viewport = this.container.querySelector('.map-viewport');
+        this.tileLayer = this.container.querySelector('.map-tiles');
+        this.markerLayer = this.container.querySelector('.map-markers');
+    }
+
+    attachEventListeners() {
+        this.viewport.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.viewport.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.viewport.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.viewport.addEventListener('pointercancel', () => {
+            this.pan = null;
+            this.pinDrag = null;
+            this.drawMarkers();
+        });
+
+        this.viewport.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.setZoom(this.zoom + (e.deltaY < 0 ? 1 : -1));
+        }, { passive: false });
+
+        this.container.querySelectorAll('[data-zoom]').forEach(button => {
+            button.addEventListener('click', () => this.setZoom(this.zoom + parseInt(button.dataset.zoom, 10)));
+        });
+
+        this.viewport.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Candidate markers are buttons, so keyboard users can pick them too
+        this.markerLayer.addEventListener('click', (e) => {
+            const marker = e.target.closest('[data-candidate]');
+            if (marker) this.onCandidateSelect(this.candidates[parseInt(marker.dataset.candidate, 10)]);
+        });
+
+        window.addEventListener('resize', () => this.draw());
+    }
+
+    /**
+     * Show the IP-detected location, centring on it if nothing else is shown yet
+     * @param {Object} location - Location {latitude, longitude, city, region}
+     */
+    setUserLocation(location) {
+        this.userLocation = location;
+        if (!this.selected && this.candidates.length === 0) {
+            this.setView(location, USER_LOCATION_ZOOM);
+        } else {
+            this.drawMarkers();
+        }
+    }
+
+    /**
+     * Show autocomplete candidates, numbered in suggestion order, and fit them in view
+     * @param {Array<Object>} places - Search results, of which the suggestion list shows the first ten
+     */
+    setCandidates(places) {
+        this.candidates = places.slice(0, MAX_CANDIDATES);
+        if (this.candidates.length > 0) {
+            this.fitTo(this.candidates);
+        } else {
+            this.drawMarkers();
+        }
+    }
+
+    /**
+     * Pin the selected address, replacing the candidates
+     * @param {Object} place - Selected place {latitude, longitude, label, display_name}
+     */
+    setSelected(place) {
+        this.selected = place;
+        this.candidates = [];
+        this.setView(place, Math.max(this.zoom, SELECTED_ZOOM));
+    }
+
+    /**
+     * Centre the map on a point
+     * @param {Object} point - Coordinates {latitude, longitude}
+     * @param {number} zoom - Zoom level
+     */
+    setView(point, zoom) {
+        this.center = { latitude: point.latitude, longitude: point.longitude };
+        this.zoom = Math.max(MIN_ZOOM, Math.min(this.maxZoom, zoom));
+        this.draw();
+    }
+
+    setZoom(zoom) {
+        this.setView(this.center, zoom);
+    }
+
+    /**
+     * Centre on a set of points at the closest zoom that shows them all
+     * @param {Array<Object>} points - Points {latitude, longitude}
+     */
+    fitTo(points) {
+        const { width, height } = this.getSize();
+        const padding = 40;
+
+        let zoom = SELECTED_ZOOM;
+        for (; zoom > MIN_ZOOM; zoom--) {
+            const projected = points.map(p => projectToPixels(p.latitude, p.longitude, zoom));
+            const spanX = Math.max(...projected.map(p => p.x)) - Math.min(...projected.map(p => p.x));
+            const spanY = Math.max(...projected.map(p => p.y)) - Math.min(...projected.map(p => p.y));
+            if (spanX <= width - 2 * padding && spanY <= height - 2 * padding) break;
+        }
+
+        const projected = points.map(p => projectToPixels(p.latitude, p.longitude, zoom));
+        const centerX = (Math.max(...projected.map(p => p.x)) + Math.min(...projected.map(p => p.x))) / 2;
+        const centerY = (Math.max(...projected.map(p => p.y)) + Math.min(...projected.map(p => p.y))) / 2;
+        this.setView(unprojectFromPixels(centerX, centerY, zoom), zoom);
+    }
+
+    getSize() {
+        const width = this.viewport.clientWidth;
+        const height = this.viewport.clientHeight;
+        return width && height ? { width, height } : FALLBACK_SIZE;
+    }
+
+    /**
+     * Get the world pixel position of the viewport's top-left corner
+     * @returns {Object} World pixel position {x, y}
+     */
+    getOrigin() {
+        const { width, height } = this.getSize();
+        const center = projectToPixels(this.center.latitude, this.center.longitude, this.zoom);
+        return { x: center.x - width / 2, y: center.y - height / 2 };
+    }
+
+    /**
+     * Convert a pointer position to coordinates
+     * @param {PointerEvent} e - Pointer event
+     * @returns {Object} Coordinates {latitude, longitude}
+     */
+    getPointerCoordinates(e) {
+        const rect = this.viewport.getBoundingClientRect();
+        const origin = this.getOrigin();
+        return unprojectFromPixels(origin.x + e.clientX - rect.left, origin.y + e.clientY - rect.top, this.zoom);
+    }
+
+    getTileUrl(x, y, zoom) {
+        const subdomains = CONFIG.map.subdomains || '';
+        return CONFIG.map.tileUrl
+            .replace('{s}', subdomains ? subdomains[(x + y) % subdomains.length] : '')
+            .replace('{z}', zoom)
+            .replace('{x}', x)
+            .replace('{y}', y);
+    }
+
+    draw() {
+        this.drawTiles();
+        this.drawMarkers();
+    }
+
+    /**
+     * Position the tiles covering the viewport, reusing loaded ones
+     */
+    drawTiles() {
+        const { width, height } = this.getSize();
+        const origin = this.getOrigin();
+        const tileCount = 2 ** this.zoom;
+        const needed = new Set();
+
+        const firstX = Math.floor(origin.x / TILE_SIZE);
+        const lastX = Math.floor((origin.x + width) / TILE_SIZE);
+        const firstY = Math.max(0, Math.floor(origin.y / TILE_SIZE));
+        const lastY = Math.min(tileCount - 1, Math.floor((origin.y + height) / TILE_SIZE));
+
+        for (let x = firstX; x <= lastX; x++) {
+            for (let y = firstY; y <= lastY; y++) {
+                const key = `${this.zoom}/${x}/${y}`;
+                needed.add(key);
+
+                let tile = this.tiles.get(key);
+                if (!tile) {
+                    // Wrap around the antimeridian
+                    const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+                    tile = document.createElement('img');
+                    tile.className = 'map-tile';
+                    tile.alt = '';
+                    tile.draggable = false;
+                    tile.src = this.getTileUrl(wrappedX, y, this.zoom);
+                    this.tiles.set(key, tile);
+                    this.tileLayer.appendChild(tile);
+                }
+                tile.style.transform = `translate(${x * TILE_SIZE - origin.x}px, ${y * TILE_SIZE - origin.y}px)`;
+            }
+        }
+
+        this.tiles.forEach((tile, key) => {
+            if (!needed.has(key)) {
+                tile.remove();
+                this.tiles.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Place the user location, candidate and selected markers
+     */
+    drawMarkers() {
+        const origin = this.getOrigin();
+        const position = (point) => {
+            const p = projectToPixels(point.latitude, point.longitude, this.zoom);
+            return `left: ${p.x - origin.x}px; top: ${p.y - origin.y}px;`;
+        };
+
+        const markers = [];
+
+        if (this.userLocation) {
+            const area = [this.userLocation.city, this.userLocation.region].filter(Boolean).join(', ');
+            markers.push(`
+                <div class="map-marker map-marker-user" style="${position(this.userLocation)}"
+                     title="${USER_MARKER_TITLES[this.userLocation.source] || USER_MARKER_TITLES.ip}${area ? ` (${escapeHTML(area)})` : ''}"></div>
+            `);
+        }
+
+        this.candidates.forEach((place, i) => {
+            const label = escapeHTML(place.label || place.display_name);
+            markers.push(`
+                <button type="button" class="map-marker map-marker-candidate" data-candidate="${i}"
+                        style="${position(place)}" title="${label}" aria-label="Select ${label}">${i + 1}</button>
+            `);
+        });
+
+        if (this.selected) {
+            const label = escapeHTML(this.selected.label || this.selected.display_name);
+            markers.push(`
+                <div class="map-marker map-marker-selected" style="${position(this.selected)}"
+                     title="${label} (drag to move)"></div>
+            `);
+        }
+
+        this.markerLayer.innerHTML = markers.join('');
+    }
+
+    handlePointerDown(e) {
+        if (e.button !== 0 || e.target.closest('button')) return;
+
+        if (e.target.closest('.map-marker-selected')) {
+            this.pinDrag = { startX: e.clientX, startY: e.clientY, marker: e.target.closest('.map-marker-selected') };
+        } else {
+            this.pan = {
+                startX: e.clientX,
+                startY: e.clientY,
+                startCenter: projectToPixels(this.center.latitude, this.center.longitude, this.zoom),
+                moved: false
+            };
+        }
+        this.viewport.setPointerCapture?.(e.pointerId);
+    }
+
+    handlePointerMove(e) {
+        if (this.pinDrag) {
+            const rect = this.viewport.getBoundingClientRect();
+            this.pinDrag.marker.style.left = `${e.clientX - rect.left}px`;
+            this.pinDrag.marker.style.top = `${e.clientY - rect.top}px`;
+            return;
+        }
+
+        if (!this.pan) return;
+        const dx = e.clientX - this.pan.startX;
+        const dy = e.clientY - this.pan.startY;
+        if (!this.pan.moved && Math.hypot(dx, dy) < CLICK_TOLERANCE_PX) return;
+
+        this.pan.moved = true;
+        this.center = unprojectFromPixels(this.pan.startCenter.x - dx, this.pan.startCenter.y - dy, this.zoom);
+        this.draw();
+    }
+
+    handlePointerUp(e) {
+        if (this.pinDrag) {
+            const moved = Math.hypot(e.clientX - this.pinDrag.startX, e.clientY - this.pinDrag.startY);
+            this.pinDrag = null;
+            if (moved >= CLICK_TOLERANCE_PX) {
+                const point = this.getPointerCoordinates(e);
+                this.selected = { ...this.selected, ...point };
+                this.onPointSelect(point);
+            }
+            this.drawMarkers();
+            return;
+        }
+
+        if (!this.pan) return;
+        const clicked = !this.pan.moved;
+        this.pan = null;
+
+        if (clicked) {
+            this.onPointSelect(this.getPointerCoordinates(e));
+        }
+    }
+
+    handleKeyDown(e) {
+        const pans = {
+            ArrowLeft: [-KEYBOARD_PAN_PX, 0],
+            ArrowRight: [KEYBOARD_PAN_PX, 0],
+            ArrowUp: [0, -KEYBOARD_PAN_PX],
+            ArrowDown: [0, KEYBOARD_PAN_PX]
+        };
+
+        if (pans[e.key]) {
+            e.preventDefault();
+            const [dx, dy] = pans[e.key];
+            const center = projectToPixels(this.center.latitude, this.center.longitude, this.zoom);
+            this.setView(unprojectFromPixels(center.x + dx, center.y + dy, this.zoom), this.zoom);
+        } else if (e.key === '+' || e.key === '=') {
+            this.setZoom(this.zoom + 1);
+        } else if (e.key === '-') {
+            this.setZoom(this.zoom - 1);
+        }
+    }
+}
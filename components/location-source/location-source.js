@@ -0,0 +1,138 @@
+/**
+ * Location Source Component
+ * Shows where address searches are centred and where that came from (home
+ * area, device or IP address), with controls to look up weather at the
+ * device's position and to set or clear a saved home area
+ */
+
+import { describeError } from '../../services/errors.js';
+
+// How each source is described after the area's name
+const SOURCE_DESCRIPTIONS = {
+    home: 'your saved home area',
+    device: "your device's position",
+    ip: 'approximate, from your IP address'
+};
+
+export class LocationSource {
+    /**
+     * @param {string} containerId - Container element id
+     * @param {Object} callbacks - Event handlers
+     * @param {Function} callbacks.onUseCurrentLocation - "Use my current location" clicked
+     * @param {Function} callbacks.onSetHomeArea - "Set as home area" clicked
+     * @param {Function} callbacks.onClearHomeArea - "Clear home area" clicked
+     */
+    constructor(containerId, { onUseCurrentLocation, onSetHomeArea, onClearHomeArea } = {}) {
+        this.container = document.getElementById(containerId);
+        this.onUseCurrentLocation = onUseCurrentLocation;
+        this.onSetHomeArea = onSetHomeArea;
+        this.onClearHomeArea = onClearHomeArea;
+
+        this.location = null;
+
+        this.render();
+        this.attachEventListeners();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="location-source-row">
+                <p class="location-source-summary" id="locationSummary">Finding your location…</p>
+                <div class="location-source-actions">
+                    <button type="button" class="location-btn" id="useCurrentLocation">📍 Use my current location</button>
+                    <button type="button" class="location-btn secondary" id="setHomeArea" disabled
+                            title="Select an address first">Set selected address as home area</button>
+                    <button type="button" class="location-btn secondary" id="clearHomeArea" hidden>Clear home area</button>
+                </div>
+            </div>
+            <p class="location-source-status" id="locationStatus" role="status"></p>
+        `;
+
+        this.summary = document.getElementById('locationSummary');
+        this.currentButton = document.getElementById('useCurrentLocation');
+        this.setHomeButton = document.getElementById('setHomeArea');
+        this.clearHomeButton = document.getElementById('clearHomeArea');
+        this.status = document.getElementById('locationStatus');
+    }
+
+    attachEventListeners() {
+        this.currentButton.addEventListener('click', () => {
+            if (this.onUseCurrentLocation) this.onUseCurrentLocation();
+        });
+        this.setHomeButton.addEventListener('click', () => {
+            if (this.onSetHomeArea) this.onSetHomeArea();
+        });
+        this.clearHomeButton.addEventListener('click', () => {
+            if (this.onClearHomeArea) this.onClearHomeArea();
+        });
+    }
+
+    /**
+     * Show the location searches are centred on
+     * @param {Object|null} location - User location with a `source`, or null if none could be found
+     */
+    setLocation(location) {
+        this.location = location;
+        this.clearHomeButton.hidden = location?.source !== 'home';
+
+        if (!location) {
+            this.summary.textContent = "Location not detected, so results aren't sorted by distance.";
+            return;
+        }
+
+        const area = [location.city, location.region].filter(Boolean).join(', ') || location.label;
+        const accuracy = location.accuracy ? ` (±${location.accuracy} m)` : '';
+
+        const strong = document.createElement('strong');
+        strong.textContent = area || `${location.latitude.toFixed(3)}, ${location.longitude.toFixed(3)}`;
+        this.summary.replaceChildren(
+            'Searching near ',
+            strong,
+            ` — ${SOURCE_DESCRIPTIONS[location.source]}${accuracy}`
+        );
+    }
+
+    /**
+     * Show that the location is being detected again
+     */
+    showLocating() {
+        this.location = null;
+        this.clearHomeButton.hidden = true;
+        this.summary.textContent = 'Finding your location…';
+    }
+
+    /**
+     * Enable "Set as home area" while an address is selected
+     * @param {boolean} enabled - Whether an address is selected
+     */
+    setCanSetHomeArea(enabled) {
+        this.setHomeButton.disabled = !enabled;
+        this.setHomeButton.title = enabled ? '' : 'Select an address first';
+    }
+
+    /**
+     * Show progress or a failure of a location request
+     * @param {string} message - Status text, or '' to clear it
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    /**
+     * Show progress while the device's position is requested
+     * @param {boolean} busy - Whether a request is in progress
+     */
+    setBusy(busy) {
+        this.currentButton.disabled = busy;
+        this.setStatus(busy ? 'Finding your position…' : '');
+    }
+
+    /**
+     * Show why the device's position couldn't be used
+     * @param {Error} err - Error from the location service
+     */
+    showError(err) {
+        const { title, message } = describeError(err);
+        this.setStatus(`${title}. ${message}`);
+    }
+}
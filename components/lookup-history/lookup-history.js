@@ -0,0 +1,119 @@
+/**
+ * Lookup History Component
+ * Lists past lookups with restore, re-run, star and delete actions
+ */
+
+import { convertValue, resolveUnits } from '../../utils/units.js';
+import { escapeHTML } from '../../utils/html.js';
+import { getWeatherCondition } from '../../utils/weather-format.js';
+
+export class LookupHistory {
+    constructor(containerId, callbacks) {
+        this.container = document.getElementById(containerId);
+        this.callbacks = callbacks;
+        this.entries = [];
+        this.unitSettings = null;
+
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        // One delegated listener survives re-renders
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const { action, id } = button.dataset;
+            const entry = this.entries.find(item => item.id === id);
+
+            switch (action) {
+                case 'open':
+                    this.callbacks.onOpen(entry);
+                    break;
+                case 'rerun':
+                    this.callbacks.onRerun(entry);
+                    break;
+                case 'star':
+                    this.callbacks.onStar(entry);
+                    break;
+                case 'delete':
+                    this.callbacks.onDelete(entry);
+                    break;
+                case 'clear':
+                    if (window.confirm('Clear all lookup history, including starred lookups?')) {
+                        this.callbacks.onClear();
+                    }
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Render the history list
+     * @param {Array<Object>} entries - History entries from the history service
+     * @param {Object} unitSettings - Unit settings used for the summaries
+     */
+    render(entries, unitSettings) {
+        this.entries = entries;
+        this.unitSettings = unitSettings;
+
+        if (entries.length === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="history-header">
+                <h3>History</h3>
+                <button type="button" class="history-clear" data-action="clear">Clear all</button>
+            </div>
+            <ul class="history-list">
+                ${entries.map(entry => this.renderEntry(entry)).join('')}
+            </ul>
+        `;
+    }
+
+    renderEntry(entry) {
+        const { lookup } = entry;
+        const when = lookup.end
+            ? `${lookup.date} ${lookup.time} – ${lookup.end.date} ${lookup.end.time}`
+            : `${lookup.date} ${lookup.time}${lookup.interpolate ? ' (interpolated)' : ''}`;
+        // Labels come from geocoders and are kept in storage, so never trust them as HTML
+        const label = escapeHTML(
+            (entry.address.label || entry.address.display_name).split(',').slice(0, 3).join(',')
+        );
+
+        return `
+            <li class="history-entry ${entry.starred ? 'starred' : ''}">
+                <button type="button" class="history-star" data-action="star" data-id="${entry.id}"
+                        aria-pressed="${entry.starred}" aria-label="${entry.starred ? 'Unstar' : 'Star'} lookup">${entry.starred ? '★' : '☆'}</button>
+                <button type="button" class="history-open" data-action="open" data-id="${entry.id}"
+                        title="${entry.weatherData ? 'Restore (cached result)' : 'Restore and fetch'}">
+                    <span class="history-address">${label}</span>
+                    <span class="history-details">${when} · ${this.formatSummary(entry.summary)}</span>
+                </button>
+                <button type="button" class="history-action" data-action="rerun" data-id="${entry.id}"
+                        title="Re-run lookup" aria-label="Re-run lookup">↻</button>
+                <button type="button" class="history-action" data-action="delete" data-id="${entry.id}"
+                        title="Delete" aria-label="Delete lookup">×</button>
+            </li>
+        `;
+    }
+
+    /**
+     * Format an entry's summary in the current units
+     * @param {Object} summary - Summary stored with the entry (Open-Meteo units)
+     * @returns {string} Summary text
+     */
+    formatSummary(summary) {
+        const units = resolveUnits(this.unitSettings);
+        const temperature = (value) => value === null || value === undefined
+            ? 'N/A'
+            : `${convertValue('temperature_2m', value, units)} ${units.temperature}`;
+
+        if ('hours' in summary) {
+            return `${summary.hours} hours, ${temperature(summary.temperature_min)} to ${temperature(summary.temperature_max)}`;
+        }
+        return `${temperature(summary.temperature)}, ${getWeatherCondition(summary.weather_code)}`;
+    }
+}
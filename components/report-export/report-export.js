@@ -0,0 +1,186 @@
+/**
+ * Report Export Component
+ * Export actions for the current weather result: JSON, CSV and a printable report
+ */
+
+import {
+    isRangeResult,
+    buildReport,
+    buildReportJSON,
+    buildReportCSV,
+    getReportFilename,
+    downloadFile
+} from '../../utils/export.js';
+import { getGeocodingAttribution } from '../../services/geocoding.js';
+import { getWeatherAttribution } from '../../services/weather.js';
+import { escapeHTML } from '../../utils/html.js';
+import { getWeatherCondition, getTimezoneLabel } from '../../utils/weather-format.js';
+import { getInterpolationMethod, meanAngle } from '../../utils/interpolation.js';
+import { PARAMETER_LABELS } from '../weather-display/weather-display.js';
+
+export class ReportExport {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.report = null;
+
+        this.toolbar = null;
+        this.printReport = null;
+
+        this.render();
+        this.attachEventListeners();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="export-toolbar hidden">
+                <span class="export-label">Export:</span>
+                <button type="button" class="export-btn" data-format="json">JSON</button>
+                <button type="button" class="export-btn" data-format="csv">CSV</button>
+                <button type="button" class="export-btn" data-format="print">🖨 Print report</button>
+            </div>
+            <div id="printReport" class="print-report"></div>
+        `;
+
+        this.toolbar = this.container.querySelector('.export-toolbar');
+        this.printReport = document.getElementById('printReport');
+    }
+
+    attachEventListeners() {
+        this.toolbar.addEventListener('click', (e) => {
+            const format = e.target.closest('.export-btn')?.dataset.format;
+            if (format) this.export(format);
+        });
+
+        // The print stylesheet only takes over while a report print is in progress
+        window.addEventListener('afterprint', () => document.body.classList.remove('print-report-mode'));
+    }
+
+    /**
+     * Make a result available for export
+     * @param {Object} weatherData - Weather data from getWeatherData or getWeatherRange
+     * @param {Object} address - Selected address from AddressSearch
+     */
+    setReport(weatherData, address) {
+        this.report = buildReport(weatherData, address, {
+            weather: getWeatherAttribution(weatherData.provider),
+            geocoding: getGeocodingAttribution(address.provider)
+        });
+        this.toolbar.classList.remove('hidden');
+    }
+
+    clear() {
+        this.report = null;
+        this.toolbar.classList.add('hidden');
+        this.printReport.innerHTML = '';
+    }
+
+    export(format) {
+        if (!this.report) return;
+
+        switch (format) {
+            case 'json':
+                downloadFile(buildReportJSON(this.report), getReportFilename(this.report, 'json'), 'application/json');
+                break;
+            case 'csv':
+                downloadFile(buildReportCSV(this.report), getReportFilename(this.report, 'csv'), 'text/csv');
+                break;
+            case 'print':
+                this.renderPrintReport();
+                document.body.classList.add('print-report-mode');
+                window.print();
+                break;
+        }
+    }
+
+    renderPrintReport() {
+        const { address, weather, attribution, generated_at } = this.report;
+        const isRange = isRangeResult(weather);
+        const when = isRange
+            ? `${weather.requested_range.start} to ${weather.requested_range.end}`
+            : weather.requested_time;
+
+        this.printReport.innerHTML = `
+            <header>
+                <h1>Weather Report</h1>
+                <p>Generated ${new Date(generated_at).toLocaleString()}</p>
+            </header>
+
+            <dl class="print-meta">
+                <dt>Address</dt><dd>${escapeHTML(address.display_name)}</dd>
+                <dt>Coordinates</dt><dd>${address.latitude}, ${address.longitude} (weather grid cell ${weather.latitude}, ${weather.longitude})</dd>
+                <dt>${isRange ? 'Range' : 'Time'}</dt><dd>${when} (local time)</dd>
+                <dt>Timezone</dt><dd>${getTimezoneLabel(weather)}</dd>
+            </dl>
+
+            ${isRange ? this.renderRangeTable(weather) : this.renderSingleTable(weather)}
+            ${this.renderFormulas(weather)}
+
+            <footer>
+                <p>${attribution.weather}</p>
+                <p>${attribution.geocoding}</p>
+            </footer>
+        `;
+    }
+
+    renderSingleTable(weather) {
+        const rows = Object.keys(weather.hourly_data)
+            .filter(param => param !== 'time')
+            .map(param => {
+                const value = weather.hourly_data[param];
+                const shown = param === 'weather_code'
+                    ? `${value} (${getWeatherCondition(value)})`
+                    : (value ?? 'N/A');
+                const marker = weather.interpolated_fields?.[param] ? ' ≈' : '';
+                return `<tr><th scope="row">${PARAMETER_LABELS[param] || param}</th><td>${shown}${marker}</td><td>${weather.units[param]}</td></tr>`;
+            });
+
+        return `
+            <table class="print-table">
+                <thead><tr><th scope="col">Parameter</th><th scope="col">Value</th><th scope="col">Unit</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+            ${weather.interpolation ? `<p class="print-note">≈ Interpolated between the ${weather.interpolation.samples.map(t => t.slice(11)).join(' and ')} hourly samples.</p>` : ''}
+        `;
+    }
+
+    /**
+     * List the formula behind each derived index in the tables
+     * @param {Object} weather - Weather result from the report
+     * @returns {string} List HTML, or an empty string when nothing was derived
+     */
+    renderFormulas(weather) {
+        const formulas = Object.entries(weather.derived_fields || {});
+        if (formulas.length === 0) return '';
+
+        return `
+            <ul class="print-formulas">
+                ${formulas.map(([param, formula]) => `<li><strong>${PARAMETER_LABELS[param] || param}:</strong> ${formula}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    renderRangeTable(weather) {
+        const round = (v) => (v === null ? 'N/A' : parseFloat(v.toFixed(2)));
+        // Directions wrap at 360°, so they're averaged as vectors rather than as numbers
+        const mean = (param, values) => (getInterpolationMethod(param) === 'circular'
+            ? meanAngle(values)
+            : values.reduce((a, b) => a + b, 0) / values.length);
+        const rows = Object.keys(weather.hourly)
+            .filter(param => param !== 'time' && param !== 'weather_code')
+            .map(param => {
+                const values = weather.hourly[param].filter(v => typeof v === 'number');
+                const stats = values.length > 0
+                    ? [Math.min(...values), mean(param, values), Math.max(...values)].map(round)
+                    : ['N/A', 'N/A', 'N/A'];
+                return `<tr><th scope="row">${PARAMETER_LABELS[param] || param}</th>${stats.map(v => `<td>${v}</td>`).join('')}<td>${weather.units[param]}</td></tr>`;
+            });
+
+        return `
+            <table class="print-table">
+                <thead><tr><th scope="col">Parameter</th><th scope="col">Min</th><th scope="col">Mean</th><th scope="col">Max</th><th scope="col">Unit</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+            <p class="print-note">Summary of ${weather.hourly.time.length} hourly samples. Export CSV for the full series.</p>
+        `;
+    }
+}
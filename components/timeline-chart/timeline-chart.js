@@ -0,0 +1,259 @@
+/**
+ * Timeline Chart Component
+ * Dependency-free SVG chart of hourly weather series with a hover cursor
+ */
+
+const WIDTH = 600;
+const LANE_HEIGHT = 80;
+const LANE_GAP = 24;
+const MARGIN = { top: 20, right: 16, bottom: 28, left: 56 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+
+// Candidate spacings (in hours) between x-axis ticks, smallest first
+const TICK_STEPS = [1, 2, 3, 6, 12, 24, 48, 72, 168];
+const MAX_TICKS = 8;
+
+// Series colors, starting with the app's primary color
+const COLORS = ['#ea6666', '#4a90d9', '#4caf50', '#f5a623', '#9b59b6', '#16a085'];
+
+export class TimelineChart {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.series = null;
+        this.params = [];
+        this.options = {};
+        this.cursorIndex = null;
+
+        this.svg = null;
+        this.tooltip = null;
+    }
+
+    /**
+     * Render one lane per parameter, sharing a time axis
+     * @param {Object} series - Hourly series {time: [...], <param>: [...]}
+     * @param {Array<string>} params - Parameters to chart, top to bottom
+     * @param {Object} options - Display options
+     * @param {Object} options.labels - Human-readable label per parameter
+     * @param {Object} options.units - Unit string per parameter
+     * @param {Function} options.formatValue - Formats (value, unit) for the tooltip
+     */
+    render(series, params, options = {}) {
+        this.series = series;
+        this.params = params.filter(param => Array.isArray(series[param]));
+        this.options = options;
+        this.cursorIndex = null;
+
+        if (this.params.length === 0) {
+            this.container.innerHTML = `<p class="timeline-empty">Select at least one parameter to chart.</p>`;
+            return;
+        }
+
+        const height = MARGIN.top + this.params.length * (LANE_HEIGHT + LANE_GAP) - LANE_GAP + MARGIN.bottom;
+
+        this.container.innerHTML = `
+            <div class="timeline-chart">
+                <svg viewBox="0 0 ${WIDTH} ${height}" role="img" tabindex="0"
+                     aria-label="Hourly timeline of ${this.params.map(p => this.getLabel(p)).join(', ')}. Use the arrow keys to step through hours.">
+                    ${this.renderTimeAxis(height)}
+                    ${this.params.map((param, lane) => this.renderLane(param, lane)).join('')}
+                    <line class="timeline-cursor hidden" y1="${MARGIN.top}" y2="${height - MARGIN.bottom}"></line>
+                    ${this.params.map((param, lane) => `<circle class="timeline-cursor-dot hidden" data-lane="${lane}" r="3.5" fill="${COLORS[lane % COLORS.length]}"></circle>`).join('')}
+                    <rect class="timeline-overlay" x="${MARGIN.left}" y="${MARGIN.top}" width="${PLOT_WIDTH}" height="${height - MARGIN.top - MARGIN.bottom}"></rect>
+                </svg>
+                <div class="timeline-tooltip hidden" aria-live="polite"></div>
+            </div>
+        `;
+
+        this.svg = this.container.querySelector('svg');
+        this.tooltip = this.container.querySelector('.timeline-tooltip');
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        const overlay = this.svg.querySelector('.timeline-overlay');
+        overlay.addEventListener('mousemove', (e) => this.moveCursor(this.getIndexAt(e.clientX)));
+        overlay.addEventListener('mouseleave', () => this.hideCursor());
+
+        this.svg.addEventListener('keydown', (e) => {
+            const last = this.series.time.length - 1;
+            if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+                e.preventDefault();
+                const step = e.key === 'ArrowRight' ? 1 : -1;
+                const current = this.cursorIndex ?? (step > 0 ? -1 : last + 1);
+                this.moveCursor(Math.min(last, Math.max(0, current + step)));
+            } else if (e.key === 'Escape') {
+                this.hideCursor();
+            }
+        });
+        this.svg.addEventListener('blur', () => this.hideCursor());
+    }
+
+    getLabel(param) {
+        return this.options.labels?.[param] || param;
+    }
+
+    /**
+     * Get the x coordinate (in viewBox units) of a sample
+     * @param {number} index - Sample index
+     * @returns {number} X coordinate
+     */
+    getX(index) {
+        const count = this.series.time.length;
+        if (count === 1) return MARGIN.left + PLOT_WIDTH / 2;
+        return MARGIN.left + (index / (count - 1)) * PLOT_WIDTH;
+    }
+
+    /**
+     * Get the nearest sample index under a mouse position
+     * @param {number} clientX - Mouse x position in viewport pixels
+     * @returns {number} Sample index
+     */
+    getIndexAt(clientX) {
+        const rect = this.svg.getBoundingClientRect();
+        const x = (clientX - rect.left) * (WIDTH / rect.width);
+        const last = this.series.time.length - 1;
+        const index = Math.round(((x - MARGIN.left) / PLOT_WIDTH) * last);
+        return Math.min(last, Math.max(0, index));
+    }
+
+    /**
+     * Get the min and max of a series, ignoring missing values
+     * @param {Array<number|null>} values - Series values
+     * @returns {Object|null} Extent {min, max}, or null if no values are present
+     */
+    getExtent(values) {
+        const present = values.filter(v => typeof v === 'number');
+        if (present.length === 0) return null;
+
+        let min = Math.min(...present);
+        let max = Math.max(...present);
+        // Give flat series some height so they draw through the middle of the lane
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        return { min, max };
+    }
+
+    renderLane(param, lane) {
+        const values = this.series[param];
+        const top = MARGIN.top + lane * (LANE_HEIGHT + LANE_GAP);
+        const bottom = top + LANE_HEIGHT;
+        const color = COLORS[lane % COLORS.length];
+        const unit = this.options.units?.[param] || '';
+        const extent = this.getExtent(values);
+
+        const frame = `
+            <text class="timeline-lane-label" x="${MARGIN.left}" y="${top - 6}">${this.getLabel(param)}${unit ? ` (${unit})` : ''}</text>
+            <line class="timeline-lane-base" x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${bottom}" y2="${bottom}"></line>
+        `;
+
+        if (!extent) {
+            return `${frame}<text class="timeline-axis-label" x="${MARGIN.left + PLOT_WIDTH / 2}" y="${top + LANE_HEIGHT / 2}" text-anchor="middle">No data</text>`;
+        }
+
+        const getY = (v) => bottom - ((v - extent.min) / (extent.max - extent.min)) * LANE_HEIGHT;
+
+        // Break the line wherever a value is missing
+        let path = '';
+        let penDown = false;
+        values.forEach((v, i) => {
+            if (typeof v !== 'number') {
+                penDown = false;
+                return;
+            }
+            path += `${penDown ? 'L' : 'M'}${this.getX(i).toFixed(1)},${getY(v).toFixed(1)} `;
+            penDown = true;
+        });
+
+        // Show individual samples when there are few enough to tell apart
+        const dots = values.length <= 24
+            ? values.map((v, i) => typeof v === 'number'
+                ? `<circle cx="${this.getX(i).toFixed(1)}" cy="${getY(v).toFixed(1)}" r="2" fill="${color}"></circle>`
+                : '').join('')
+            : '';
+
+        const round = (v) => parseFloat(v.toFixed(2));
+
+        return `
+            ${frame}
+            <text class="timeline-axis-label" x="${MARGIN.left - 6}" y="${top + 4}" text-anchor="end">${round(extent.max)}</text>
+            <text class="timeline-axis-label" x="${MARGIN.left - 6}" y="${bottom}" text-anchor="end">${round(extent.min)}</text>
+            <path class="timeline-line" d="${path.trim()}" stroke="${color}"></path>
+            ${dots}
+        `;
+    }
+
+    renderTimeAxis(height) {
+        const times = this.series.time;
+        const step = TICK_STEPS.find(s => times.length / s <= MAX_TICKS) || TICK_STEPS[TICK_STEPS.length - 1];
+
+        let ticks = '';
+        for (let i = 0; i < times.length; i += step) {
+            const x = this.getX(i).toFixed(1);
+            // Label midnights and multi-day steps with the date, other ticks with the hour
+            const isMidnight = times[i].slice(11, 13) === '00';
+            const label = step >= 24 || isMidnight ? times[i].slice(5, 10) : times[i].slice(11, 16);
+
+            ticks += `
+                <line class="timeline-grid" x1="${x}" x2="${x}" y1="${MARGIN.top}" y2="${height - MARGIN.bottom}"></line>
+                <text class="timeline-axis-label" x="${x}" y="${height - MARGIN.bottom + 16}" text-anchor="middle">${label}</text>
+            `;
+        }
+        return ticks;
+    }
+
+    /**
+     * Move the hover cursor to a sample and show its values
+     * @param {number} index - Sample index
+     */
+    moveCursor(index) {
+        this.cursorIndex = index;
+        const x = this.getX(index);
+
+        const cursor = this.svg.querySelector('.timeline-cursor');
+        cursor.setAttribute('x1', x);
+        cursor.setAttribute('x2', x);
+        cursor.classList.remove('hidden');
+
+        // Place a dot on each lane's line at the cursor
+        this.params.forEach((param, lane) => {
+            const dot = this.svg.querySelector(`.timeline-cursor-dot[data-lane="${lane}"]`);
+            const value = this.series[param][index];
+            const extent = this.getExtent(this.series[param]);
+            if (typeof value !== 'number' || !extent) {
+                dot.classList.add('hidden');
+                return;
+            }
+            const bottom = MARGIN.top + lane * (LANE_HEIGHT + LANE_GAP) + LANE_HEIGHT;
+            dot.setAttribute('cx', x);
+            dot.setAttribute('cy', bottom - ((value - extent.min) / (extent.max - extent.min)) * LANE_HEIGHT);
+            dot.classList.remove('hidden');
+        });
+
+        const format = this.options.formatValue || ((value, unit) => value === null || value === undefined ? 'N/A' : `${value} ${unit}`);
+        this.tooltip.innerHTML = `
+            <div class="timeline-tooltip-time">${this.series.time[index].replace('T', ' ')}</div>
+            ${this.params.map((param, lane) => `
+                <div class="timeline-tooltip-row">
+                    <span class="timeline-swatch" style="background: ${COLORS[lane % COLORS.length]}"></span>
+                    <span>${this.getLabel(param)}:</span>
+                    <strong>${format(this.series[param][index], this.options.units?.[param] || '')}</strong>
+                </div>
+            `).join('')}
+        `;
+
+        // Keep the tooltip on the side of the cursor with more room
+        const ratio = x / WIDTH;
+        this.tooltip.style.left = ratio < 0.5 ? `calc(${ratio * 100}% + 12px)` : '';
+        this.tooltip.style.right = ratio < 0.5 ? '' : `calc(${(1 - ratio) * 100}% + 12px)`;
+        this.tooltip.classList.remove('hidden');
+    }
+
+    hideCursor() {
+        this.cursorIndex = null;
+        if (!this.svg) return;
+        this.svg.querySelectorAll('.timeline-cursor, .timeline-cursor-dot').forEach(el => el.classList.add('hidden'));
+        this.tooltip.classList.add('hidden');
+    }
+}
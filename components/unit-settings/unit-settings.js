@@ -0,0 +1,79 @@
+/**
+ * Unit Settings Component
+ * Metric/imperial preset switch with per-quantity unit overrides
+ */
+
+import { QUANTITIES, PRESETS, normalizeUnitSettings } from '../../utils/units.js';
+
+export class UnitSettings {
+    constructor(containerId, settings, onChange) {
+        this.container = document.getElementById(containerId);
+        this.settings = normalizeUnitSettings(settings);
+        this.onChange = onChange;
+
+        this.systemSelect = null;
+
+        this.render();
+        this.attachEventListeners();
+    }
+
+    render() {
+        const units = { ...PRESETS[this.settings.system], ...this.settings.overrides };
+        const overrideCount = Object.keys(this.settings.overrides).length;
+
+        this.container.innerHTML = `
+            <div class="unit-settings-row">
+                <label for="unitSystem">Units:</label>
+                <select id="unitSystem">
+                    <option value="metric" ${this.settings.system === 'metric' ? 'selected' : ''}>Metric</option>
+                    <option value="imperial" ${this.settings.system === 'imperial' ? 'selected' : ''}>Imperial (US)</option>
+                </select>
+                <details class="unit-overrides">
+                    <summary>Customize${overrideCount ? ` (${overrideCount} changed)` : ''}</summary>
+                    <div class="unit-overrides-grid">
+                        ${Object.entries(QUANTITIES).map(([quantity, { label, units: options }]) => `
+                            <label for="unit-${quantity}">${label}</label>
+                            <select id="unit-${quantity}" data-quantity="${quantity}">
+                                ${Object.keys(options).map(unit => `
+                                    <option value="${unit}" ${units[quantity] === unit ? 'selected' : ''}>${unit}</option>
+                                `).join('')}
+                            </select>
+                        `).join('')}
+                    </div>
+                </details>
+            </div>
+        `;
+
+        this.systemSelect = document.getElementById('unitSystem');
+    }
+
+    attachEventListeners() {
+        this.container.addEventListener('change', (e) => {
+            if (e.target === this.systemSelect) {
+                // Switching preset starts from a clean slate
+                this.update({ system: this.systemSelect.value, overrides: {} });
+            } else if (e.target.dataset.quantity) {
+                this.update({
+                    system: this.settings.system,
+                    overrides: { ...this.settings.overrides, [e.target.dataset.quantity]: e.target.value }
+                });
+            }
+        });
+    }
+
+    /**
+     * Replace the current settings, e.g. from a permalink, without notifying
+     * @param {Object} settings - Unit settings {system, overrides}
+     */
+    setSettings(settings) {
+        this.settings = normalizeUnitSettings(settings);
+        const wasOpen = this.container.querySelector('.unit-overrides')?.open;
+        this.render();
+        this.container.querySelector('.unit-overrides').open = Boolean(wasOpen);
+    }
+
+    update(settings) {
+        this.setSettings(settings);
+        if (this.onChange) this.onChange(this.settings);
+    }
+}
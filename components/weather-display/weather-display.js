@@ -3,83 +3,272 @@
  * Displays weather information for selected location and time
  */
 
+import { TimelineChart } from '../timeline-chart/timeline-chart.js';
+import { describeError } from '../../services/errors.js';
+import { getBeaufortDescription } from '../../utils/meteorology.js';
+import {
+    getWeatherCondition,
+    formatValue,
+    formatField,
+    markInterpolated,
+    getWindDirection,
+    getTimezoneLabel
+} from '../../utils/weather-format.js';
+
+// Human-readable labels for each hourly parameter
+export const PARAMETER_LABELS = {
+    temperature_2m: 'Temperature',
+    apparent_temperature: 'Feels Like',
+    dew_point_2m: 'Dew Point',
+    soil_temperature_0_to_7cm: 'Soil Temperature (0-7cm)',
+    relative_humidity_2m: 'Relative Humidity',
+    surface_pressure: 'Surface Pressure',
+    pressure_msl: 'Sea Level Pressure',
+    wind_speed_10m: 'Wind Speed',
+    wind_direction_10m: 'Wind Direction',
+    wind_gusts_10m: 'Wind Gusts',
+    precipitation: 'Total Precipitation',
+    rain: 'Rain',
+    snowfall: 'Snowfall',
+    snow_depth: 'Snow Depth',
+    cloud_cover: 'Cloud Cover',
+    cloud_cover_low: 'Low Cloud Cover',
+    cloud_cover_mid: 'Mid Cloud Cover',
+    cloud_cover_high: 'High Cloud Cover',
+    visibility: 'Visibility',
+    shortwave_radiation: 'Shortwave Radiation',
+    direct_radiation: 'Direct Radiation',
+    diffuse_radiation: 'Diffuse Radiation',
+    direct_normal_irradiance: 'Direct Normal Irradiance',
+    et0_fao_evapotranspiration: 'Evapotranspiration',
+    vapour_pressure_deficit: 'Vapor Pressure Deficit',
+    weather_code: 'Weather',
+    heat_index: 'Heat Index',
+    wind_chill: 'Wind Chill',
+    wet_bulb_temperature: 'Wet-Bulb Temperature',
+    wbgt: 'WBGT (estimate)',
+    humidex: 'Humidex',
+    beaufort_scale: 'Beaufort Force',
+    cloud_base_height: 'Cloud Base'
+};
+
+// How light it is for each band of solar elevation
+const LIGHT_LEVELS = {
+    daylight: 'Daylight',
+    civil_twilight: 'Civil twilight',
+    nautical_twilight: 'Nautical twilight',
+    astronomical_twilight: 'Astronomical twilight',
+    night: 'Night'
+};
+
+// Parameters charted by default when a time range is first shown
+const DEFAULT_CHART_PARAMS = ['temperature_2m', 'precipitation', 'wind_speed_10m'];
+
 export class WeatherDisplay {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
+        this.chartParams = [...DEFAULT_CHART_PARAMS];
+        this.timelineChart = null;
     }
 
     /**
-     * Get human-readable weather condition from WMO code
-     * @param {number} code - WMO weather code
-     * @returns {string} Weather condition description
+     * Describe how the displayed values relate to the hourly samples
+     * @param {Object} weatherData - Weather data from getWeatherData
+     * @returns {string} Meta line HTML, or an empty string when not interpolated
      */
-    getWeatherCondition(code) {
-        const conditions = {
-            0: 'Clear sky',
-            1: 'Mainly clear',
-            2: 'Partly cloudy',
-            3: 'Overcast',
-            45: 'Foggy',
-            48: 'Depositing rime fog',
-            51: 'Light drizzle',
-            53: 'Moderate drizzle',
-            55: 'Dense drizzle',
-            56: 'Light freezing drizzle',
-            57: 'Dense freezing drizzle',
-            61: 'Slight rain',
-            63: 'Moderate rain',
-            65: 'Heavy rain',
-            66: 'Light freezing rain',
-            67: 'Heavy freezing rain',
-            71: 'Slight snow fall',
-            73: 'Moderate snow fall',
-            75: 'Heavy snow fall',
-            77: 'Snow grains',
-            80: 'Slight rain showers',
-            81: 'Moderate rain showers',
-            82: 'Violent rain showers',
-            85: 'Slight snow showers',
-            86: 'Heavy snow showers',
-            95: 'Thunderstorm',
-            96: 'Thunderstorm with slight hail',
-            99: 'Thunderstorm with heavy hail'
+    getInterpolationNote(weatherData) {
+        const { interpolation } = weatherData;
+        if (!interpolation) return '';
+
+        const [from, to] = interpolation.samples.map(sample => sample.slice(11));
+        const percent = Math.round(interpolation.fraction * 100);
+        return `<div><strong>Interpolated:</strong> ${percent}% of the way from ${from} to ${to} (values marked <span class="interpolated-marker">≈</span>)</div>`;
+    }
+
+    /**
+     * Label where the values come from: observations (reanalysis or model
+     * analysis), a forecast, or fixture sample data
+     * @param {Object} weatherData - Weather data from getWeatherData or getWeatherRange
+     * @returns {string} Meta line HTML, or an empty string for results saved before sources were recorded
+     */
+    getSourceNote(weatherData) {
+        const { source, provider, forecast_from } = weatherData;
+        const labels = {
+            observed: provider === 'open-meteo-archive' ? 'Observed (reanalysis)' : 'Observed (model analysis)',
+            forecast: 'Forecast',
+            mixed: `Observed, then forecast from ${forecast_from?.replace('T', ' ')}`,
+            sample: 'Sample data (offline fixture)'
         };
-        return conditions[code] || `Unknown (${code})`;
+        if (!labels[source]) return '';
+
+        return `<div><strong>Source:</strong> <span class="source-badge source-${source}">${labels[source]}</span></div>`;
+    }
+
+    /**
+     * Format a sun event as a local clock time, keeping the date when the event
+     * falls on a neighbouring day (far from the timezone's meridian)
+     * @param {string} date - Local day the event belongs to, in YYYY-MM-DD format
+     * @param {string|null} time - Event time in YYYY-MM-DDTHH:MM format
+     * @returns {string} Formatted time
+     */
+    formatSunTime(date, time) {
+        if (time === null) return '—';
+        return time.startsWith(date) ? time.slice(11) : time.replace('T', ' ');
+    }
+
+    /**
+     * Format the span between the sun rising through an altitude and setting through it again
+     * @param {string} date - Local day of the sun times, in YYYY-MM-DD format
+     * @param {Object} sun - Sun times for the day (see getSunTimes in utils/astronomy.js)
+     * @param {string} start - Sun event key for the rising time, e.g. 'civil_dawn'
+     * @param {string} end - Sun event key for the setting time, e.g. 'civil_dusk'
+     * @param {number} altitude - Sun altitude of the events in degrees
+     * @returns {string} "06:49 – 19:25", or why the events don't happen that day
+     */
+    formatSunSpan(date, sun, start, end, altitude) {
+        if (sun[start] === null && sun[end] === null) {
+            const level = start === 'sunrise' ? 'the horizon' : `${altitude}°`;
+            return sun.noon_elevation < altitude
+                ? `Sun stays below ${level} all day`
+                : `Sun stays above ${level} all night`;
+        }
+        return `${this.formatSunTime(date, sun[start])} – ${this.formatSunTime(date, sun[end])}`;
+    }
+
+    /**
+     * Render whether it was light or dark at the requested time, the day's sun
+     * events and the moon's phase
+     * @param {Object} weatherData - Weather data from getWeatherData
+     * @returns {string} Section HTML, or an empty string for results saved before this was calculated
+     */
+    renderAstronomySection(weatherData) {
+        const { astronomy } = weatherData;
+        if (!astronomy) return '';
+        const { sun, moon } = astronomy;
+        const date = weatherData.requested_time.slice(0, 10);
+
+        return `
+                <!-- Sun & Moon Section -->
+                <div class="weather-section">
+                    <h4>🌗 Sun & Moon</h4>
+                    <div class="weather-data">
+                        <div class="weather-item">
+                            <span class="weather-label">Light:</span>
+                            <span class="weather-value">${LIGHT_LEVELS[sun.light]}</span>
+                        </div>
+                        <div class="weather-item">
+                            <span class="weather-label">Sun Elevation:</span>
+                            <span class="weather-value">${sun.elevation}°</span>
+                        </div>
+                        <div class="weather-item">
+                            <span class="weather-label">Sun Azimuth:</span>
+                            <span class="weather-value">${getWindDirection(sun.azimuth)}</span>
+                        </div>
+                        <div class="weather-item">
+                            <span class="weather-label">Sunrise – Sunset:</span>
+                            <span class="weather-value">${this.formatSunSpan(date, sun, 'sunrise', 'sunset', -0.833)}</span>
+                        </div>
+                        <div class="weather-item">
+                            <span class="weather-label">Solar Noon:</span>
+                            <span class="weather-value">${this.formatSunTime(date, sun.solar_noon)}</span>
+                        </div>
+                        <div class="weather-item">
+                            <span class="weather-label">Civil Dawn – Dusk:</span>
+                            <span class="weather-value">${this.formatSunSpan(date, sun, 'civil_dawn', 'civil_dusk', -6)}</span>
+                        </div>
+                        <div class="weather-item">
+                            <span class="weather-label">Nautical Dawn – Dusk:</span>
+                            <span class="weather-value">${this.formatSunSpan(date, sun, 'nautical_dawn', 'nautical_dusk', -12)}</span>
+                        </div>
+                        <div class="weather-item">
+                            <span class="weather-label">Astronomical Dawn – Dusk:</span>
+                            <span class="weather-value">${this.formatSunSpan(date, sun, 'astronomical_dawn', 'astronomical_dusk', -18)}</span>
+                        </div>
+                        <div class="weather-item">
+                            <span class="weather-label">Moon:</span>
+                            <span class="weather-value">${moon.phase_name} (${moon.illumination}% illuminated)</span>
+                        </div>
+                    </div>
+                </div>
+        `;
+    }
+
+    /**
+     * Render each day's sunrise, sunset and moon phase across a time range
+     * @param {Object} rangeData - Weather series from getWeatherRange
+     * @returns {string} Section HTML, or an empty string for results saved before this was calculated
+     */
+    renderRangeAstronomySection(rangeData) {
+        const days = rangeData.astronomy?.days;
+        if (!days) return '';
+
+        return `
+            <div class="weather-section range-astronomy">
+                <h4>🌗 Sun & Moon</h4>
+                <div class="weather-data">
+                    ${days.map(({ date, sun, moon }) => `
+                        <div class="weather-item">
+                            <span class="weather-label">${date}:</span>
+                            <span class="weather-value">☀️ ${this.formatSunSpan(date, sun, 'sunrise', 'sunset', -0.833)} · ${moon.phase_name} (${moon.illumination}% illuminated)</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
     }
 
     /**
-     * Format a weather data value with its unit
-     * @param {*} value - The value to format
-     * @param {string} unit - The unit string
-     * @returns {string} Formatted value with unit
+     * Format a derived index, spelling out the Beaufort force's description
+     * @param {Object} weatherData - Weather data from getWeatherData
+     * @param {string} param - Derived metric name
+     * @returns {string} Formatted value
      */
-    formatValue(value, unit) {
-        if (value === null || value === undefined) {
-            return 'N/A';
+    formatDerived(weatherData, param) {
+        const value = weatherData.hourly_data[param];
+        if (param === 'beaufort_scale' && value !== null && value !== undefined) {
+            return `${value} (${getBeaufortDescription(value)})`;
         }
-        return `${value} ${unit}`;
+        return formatField(weatherData, param);
     }
 
     /**
-     * Get wind direction from degrees
-     * @param {number} degrees - Wind direction in degrees
-     * @returns {string} Cardinal direction
+     * Render the indices derived from the raw values, each with the formula it comes from
+     * @param {Object} weatherData - Weather data from getWeatherData
+     * @returns {string} Section HTML, or an empty string for results saved before indices were derived
      */
-    getWindDirection(degrees) {
-        if (degrees === null || degrees === undefined) return 'N/A';
-        const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
-        const index = Math.round(degrees / 22.5) % 16;
-        return `${directions[index]} (${degrees}°)`;
+    renderDerivedSection(weatherData) {
+        const formulas = weatherData.derived_fields || {};
+        const params = Object.keys(formulas);
+        if (params.length === 0) return '';
+
+        return `
+                <!-- Derived Indices Section -->
+                <div class="weather-section">
+                    <h4>🧮 Derived Indices</h4>
+                    <div class="weather-data">
+                        ${params.map(param => `
+                            <div class="weather-item derived-item">
+                                <span class="weather-label">${PARAMETER_LABELS[param] || param}:</span>
+                                <span class="weather-value">${this.formatDerived(weatherData, param)}</span>
+                                <span class="derived-formula">${formulas[param]}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+        `;
     }
 
     render(weatherData) {
-        const { latitude, longitude, requested_time, hourly_data, units } = weatherData;
+        const { latitude, longitude, requested_time, hourly_data } = weatherData;
 
         this.container.innerHTML = `
             <h3>Weather at Location</h3>
             <div class="weather-meta">
                 <div><strong>Coordinates:</strong> ${latitude}, ${longitude}</div>
-                <div><strong>Time:</strong> ${requested_time}</div>
+                <div><strong>Time:</strong> ${requested_time} (local time)</div>
+                <div><strong>Timezone:</strong> ${getTimezoneLabel(weatherData)}</div>
+                ${this.getSourceNote(weatherData)}
+                ${this.getInterpolationNote(weatherData)}
             </div>
 
             <div class="weather-sections">
@@ -89,19 +278,19 @@ export class WeatherDisplay {
                     <div class="weather-data">
                         <div class="weather-item">
                             <span class="weather-label">Temperature:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.temperature_2m, units.temperature_2m)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'temperature_2m')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Feels Like:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.apparent_temperature, units.apparent_temperature)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'apparent_temperature')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Dew Point:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.dew_point_2m, units.dew_point_2m)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'dew_point_2m')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Soil Temperature (0-7cm):</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.soil_temperature_0_to_7cm, units.soil_temperature_0_to_7cm)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'soil_temperature_0_to_7cm')}</span>
                         </div>
                     </div>
                 </div>
@@ -112,46 +301,48 @@ export class WeatherDisplay {
                     <div class="weather-data">
                         <div class="weather-item">
                             <span class="weather-label">Weather:</span>
-                            <span class="weather-value">${this.getWeatherCondition(hourly_data.weather_code)}</span>
+                            <span class="weather-value">${markInterpolated(weatherData, 'weather_code', getWeatherCondition(hourly_data.weather_code))}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Cloud Cover:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.cloud_cover, units.cloud_cover)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'cloud_cover')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Low Cloud Cover:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.cloud_cover_low, units.cloud_cover_low)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'cloud_cover_low')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Mid Cloud Cover:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.cloud_cover_mid, units.cloud_cover_mid)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'cloud_cover_mid')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">High Cloud Cover:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.cloud_cover_high, units.cloud_cover_high)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'cloud_cover_high')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Visibility:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.visibility, units.visibility)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'visibility')}</span>
                         </div>
                     </div>
                 </div>
 
+                ${this.renderAstronomySection(weatherData)}
+
                 <!-- Wind Section -->
                 <div class="weather-section">
                     <h4>💨 Wind</h4>
                     <div class="weather-data">
                         <div class="weather-item">
                             <span class="weather-label">Wind Speed:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.wind_speed_10m, units.wind_speed_10m)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'wind_speed_10m')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Wind Direction:</span>
-                            <span class="weather-value">${this.getWindDirection(hourly_data.wind_direction_10m)}</span>
+                            <span class="weather-value">${markInterpolated(weatherData, 'wind_direction_10m', getWindDirection(hourly_data.wind_direction_10m))}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Wind Gusts:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.wind_gusts_10m, units.wind_gusts_10m)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'wind_gusts_10m')}</span>
                         </div>
                     </div>
                 </div>
@@ -162,19 +353,19 @@ export class WeatherDisplay {
                     <div class="weather-data">
                         <div class="weather-item">
                             <span class="weather-label">Total Precipitation:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.precipitation, units.precipitation)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'precipitation')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Rain:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.rain, units.rain)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'rain')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Snowfall:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.snowfall, units.snowfall)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'snowfall')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Snow Depth:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.snow_depth, units.snow_depth)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'snow_depth')}</span>
                         </div>
                     </div>
                 </div>
@@ -185,19 +376,19 @@ export class WeatherDisplay {
                     <div class="weather-data">
                         <div class="weather-item">
                             <span class="weather-label">Relative Humidity:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.relative_humidity_2m, units.relative_humidity_2m)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'relative_humidity_2m')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Surface Pressure:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.surface_pressure, units.surface_pressure)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'surface_pressure')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Sea Level Pressure:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.pressure_msl, units.pressure_msl)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'pressure_msl')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Vapor Pressure Deficit:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.vapour_pressure_deficit, units.vapour_pressure_deficit)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'vapour_pressure_deficit')}</span>
                         </div>
                     </div>
                 </div>
@@ -208,19 +399,19 @@ export class WeatherDisplay {
                     <div class="weather-data">
                         <div class="weather-item">
                             <span class="weather-label">Shortwave Radiation:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.shortwave_radiation, units.shortwave_radiation)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'shortwave_radiation')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Direct Radiation:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.direct_radiation, units.direct_radiation)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'direct_radiation')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Diffuse Radiation:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.diffuse_radiation, units.diffuse_radiation)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'diffuse_radiation')}</span>
                         </div>
                         <div class="weather-item">
                             <span class="weather-label">Direct Normal Irradiance:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.direct_normal_irradiance, units.direct_normal_irradiance)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'direct_normal_irradiance')}</span>
                         </div>
                     </div>
                 </div>
@@ -231,14 +422,66 @@ export class WeatherDisplay {
                     <div class="weather-data">
                         <div class="weather-item">
                             <span class="weather-label">Evapotranspiration:</span>
-                            <span class="weather-value">${this.formatValue(hourly_data.et0_fao_evapotranspiration, units.et0_fao_evapotranspiration)}</span>
+                            <span class="weather-value">${formatField(weatherData, 'et0_fao_evapotranspiration')}</span>
                         </div>
                     </div>
                 </div>
+
+                ${this.renderDerivedSection(weatherData)}
             </div>
         `;
     }
 
+    /**
+     * Render a time range as an hourly timeline chart with a parameter chooser
+     * @param {Object} rangeData - Weather series from getWeatherRange
+     */
+    renderRange(rangeData) {
+        const { latitude, longitude, requested_range, hourly } = rangeData;
+        const params = Object.keys(hourly).filter(param => param !== 'time');
+
+        this.container.innerHTML = `
+            <h3>Weather Timeline at Location</h3>
+            <div class="weather-meta">
+                <div><strong>Coordinates:</strong> ${latitude}, ${longitude}</div>
+                <div><strong>Range:</strong> ${requested_range.start} to ${requested_range.end} (local time)</div>
+                <div><strong>Timezone:</strong> ${getTimezoneLabel(rangeData)}</div>
+                ${this.getSourceNote(rangeData)}
+                <div><strong>Hours:</strong> ${hourly.time.length}</div>
+            </div>
+
+            <fieldset class="timeline-params">
+                <legend>Parameters to chart</legend>
+                ${params.map(param => `
+                    <label class="timeline-param">
+                        <input type="checkbox" value="${param}" ${this.chartParams.includes(param) ? 'checked' : ''}>
+                        ${PARAMETER_LABELS[param] || param}
+                    </label>
+                `).join('')}
+            </fieldset>
+
+            <div id="timelineChart"></div>
+
+            ${this.renderRangeAstronomySection(rangeData)}
+        `;
+
+        this.timelineChart = new TimelineChart('timelineChart');
+        const drawChart = () => this.timelineChart.render(hourly, this.chartParams, {
+            labels: PARAMETER_LABELS,
+            units: rangeData.units,
+            formatValue: (value, unit) => formatValue(value, unit)
+        });
+
+        // Keep chosen parameters in chooser order and remember them for the next range
+        this.container.querySelector('.timeline-params').addEventListener('change', () => {
+            this.chartParams = [...this.container.querySelectorAll('.timeline-param input:checked')]
+                .map(input => input.value);
+            drawChart();
+        });
+
+        drawChart();
+    }
+
     showLoading() {
         this.container.innerHTML = `
             <div class="weather-loading">
@@ -248,11 +491,22 @@ export class WeatherDisplay {
         `;
     }
 
-    showError(message) {
-        this.container.innerHTML = `
-            <h3>Error</h3>
-            ${message}
-        `;
+    /**
+     * Show why a lookup failed and what to do about it
+     * @param {Error} err - Error from the weather or geocoding services
+     */
+    showError(err) {
+        const { title, message } = describeError(err);
+
+        const box = document.createElement('div');
+        box.className = 'weather-error';
+        box.setAttribute('role', 'alert');
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        const text = document.createElement('p');
+        text.textContent = message;
+        box.append(heading, text);
+        this.container.replaceChildren(box);
     }
 
     clear() {
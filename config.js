@@ -0,0 +1,51 @@
+/**
+ * Application Configuration
+ * Service providers and endpoints. Edit to switch providers or point at
+ * self-hosted instances.
+ */
+
+export const CONFIG = {
+    geocoding: {
+        // 'nominatim', 'photon' or 'pelias'
+        provider: 'nominatim',
+        // Endpoint override, e.g. a self-hosted instance (null uses the provider's public default)
+        baseUrl: null,
+        // Required by hosted Pelias services such as geocode.earth
+        apiKey: null,
+        // Default search scope until the user picks one: 'auto' (the IP-detected
+        // country), 'worldwide', or a list of ISO country codes such as ['us', 'ca']
+        countries: 'auto',
+        // Request rate limit; null uses the provider's default (1/s for Nominatim, per its usage policy)
+        requestsPerSecond: null
+    },
+    weather: {
+        // 'open-meteo-archive', 'open-meteo-forecast', 'open-meteo-self-hosted' or
+        // 'fixture' (a bundled sample day, for demos and testing without network access)
+        provider: 'open-meteo-archive',
+        // Endpoint override; required for 'open-meteo-self-hosted', e.g. 'http://localhost:8080'
+        baseUrl: null,
+        // API a self-hosted instance should serve: 'forecast' or 'archive'
+        endpoint: 'forecast',
+        // Day of data repeated by the 'fixture' provider
+        fixtureUrl: 'fixtures/weather-day.json'
+    },
+    http: {
+        // Time allowed for each request before it's abandoned
+        timeoutMs: 15000,
+        // Retries after network errors, rate limits (HTTP 429) and server errors (5xx)
+        retries: 2,
+        // Wait before the first retry, doubling for each one after; a Retry-After header overrides it
+        retryDelayMs: 1000,
+        // Longest wait before a retry; a service asking for longer fails straight away
+        maxRetryDelayMs: 30000
+    },
+    map: {
+        // Raster tile URL template; {s} picks a subdomain from `subdomains`. Point this at
+        // a local tile server for offline use or heavy traffic (see the OSM tile usage policy).
+        tileUrl: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        subdomains: 'abc',
+        maxZoom: 19,
+        // Shown on the map as HTML; keep it matching the tile source's licence
+        attribution: '© <a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noopener">OpenStreetMap</a> contributors'
+    }
+};
@@ -3,89 +3,411 @@
  * Initializes all components and coordinates data flow
  */
 
-import { getUserLocation } from './services/geocoding.js';
-import { getWeatherData } from './services/weather.js';
+import { getUserLocation, parseSearchQuery } from './services/geocoding.js';
+import { onCacheEvent } from './services/cache.js';
+import { onRequestQueueChange } from './services/request-queue.js';
+import { getDeviceLocation, getDeviceLocationPermission, loadHomeArea, saveHomeArea, clearHomeArea } from './services/location.js';
+import { getWeatherData, getWeatherRange } from './services/weather.js';
+import { encodePermalink, decodePermalink } from './utils/permalink.js';
+import { convertWeatherData, loadUnitSettings, saveUnitSettings } from './utils/units.js';
+import { isRangeResult } from './utils/export.js';
+import {
+    loadHistory,
+    addHistoryEntry,
+    toggleHistoryStar,
+    deleteHistoryEntry,
+    clearHistory
+} from './services/history.js';
 import { DateTimePicker } from './components/datetime-picker/datetime-picker.js';
 import { AddressSearch } from './components/address-search/address-search.js';
+import { LocationMap } from './components/location-map/location-map.js';
+import { LocationSource } from './components/location-source/location-source.js';
+import { UnitSettings } from './components/unit-settings/unit-settings.js';
 import { WeatherDisplay } from './components/weather-display/weather-display.js';
+import { ReportExport } from './components/report-export/report-export.js';
+import { LookupHistory } from './components/lookup-history/lookup-history.js';
+import { ComparisonTable } from './components/comparison-table/comparison-table.js';
+import { BatchLookup } from './components/batch-lookup/batch-lookup.js';
 import { DataFlow } from './components/data-flow/data-flow.js';
 
 class App {
     constructor() {
         this.userLocation = null;
         this.selectedAddress = null;
+        this.currentWeather = null;
+        this.unitSettings = loadUnitSettings();
+        this.pinnedAddresses = [];
+        this.comparisonEntries = [];
+        this.comparisonRequestId = 0;
+        this.comparisonLookup = null;
+        this.weatherRequestId = 0;
         
         // Initialize components
-        this.dateTimePicker = new DateTimePicker('dateTimeContainer');
+        this.dateTimePicker = new DateTimePicker('dateTimeContainer', () => this.handleDateTimeChange());
+        this.unitSettingsPanel = new UnitSettings(
+            'unitSettings',
+            this.unitSettings,
+            (settings) => this.handleUnitChange(settings)
+        );
         this.weatherDisplay = new WeatherDisplay('weather');
+        this.reportExport = new ReportExport('reportExport');
+        this.lookupHistory = new LookupHistory('history', {
+            onOpen: (entry) => this.restoreLookup({ ...entry.lookup, address: entry.address }, entry.weatherData),
+            onRerun: (entry) => this.restoreLookup({ ...entry.lookup, address: entry.address }),
+            onStar: (entry) => this.renderHistory(toggleHistoryStar(entry.id)),
+            onDelete: (entry) => this.renderHistory(deleteHistoryEntry(entry.id)),
+            onClear: () => this.renderHistory(clearHistory())
+        });
+        this.renderHistory(loadHistory());
+        this.comparisonTable = new ComparisonTable(
+            'comparison',
+            () => this.pinSelectedAddress(),
+            (index) => this.unpinAddress(index)
+        );
+        this.batchLookup = new BatchLookup('batchLookup', () => this.unitSettings);
         this.dataFlow = new DataFlow('dataFlow');
+        onCacheEvent((event, stats) => this.dataFlow.updateCacheStats(stats));
+        onRequestQueueChange((stats) => this.dataFlow.updateQueueStats(stats));
         this.addressSearch = new AddressSearch(
             'addressContainer',
             (address) => this.handleAddressSelect(address),
-            (results) => this.handleAutocompleteResults(results)
+            (results, query) => this.handleAutocompleteResults(results, query)
         );
-        
-        // Load user location on startup
-        this.loadUserLocation();
+        this.locationSource = new LocationSource('locationSource', {
+            onUseCurrentLocation: () => this.useCurrentLocation(),
+            onSetHomeArea: () => this.handleSetHomeArea(),
+            onClearHomeArea: () => this.handleClearHomeArea()
+        });
+        this.locationMap = new LocationMap('map', {
+            onCandidateSelect: (place) => this.addressSearch.selectAddress(place),
+            onPointSelect: (coords) => this.addressSearch.selectCoordinates(coords)
+        });
+
+        // Back/forward between lookups restores each one
+        window.addEventListener('popstate', () => {
+            const state = decodePermalink(window.location.search);
+            if (state) {
+                this.restoreLookup(state);
+            } else {
+                this.weatherDisplay.clear();
+                this.reportExport.clear();
+            }
+        });
+
+        // A permalink already says where to look, so skip detecting the user's location
+        const permalink = decodePermalink(window.location.search);
+        if (permalink) {
+            this.restoreLookup(permalink);
+            const home = loadHomeArea();
+            if (home) this.applyUserLocation(home);
+            else this.locationSource.setLocation(null);
+        } else {
+            this.loadUserLocation();
+        }
+    }
+
+    /**
+     * Rehydrate the inputs from a permalink or history entry and show its lookup
+     * @param {Object} state - Lookup state from decodePermalink or a history entry
+     * @param {Object|null} cachedWeather - Previously fetched result to show instead of refetching
+     */
+    restoreLookup(state, cachedWeather = null) {
+        if (state.units) {
+            this.unitSettings = state.units;
+            this.unitSettingsPanel.setSettings(state.units);
+        }
+        this.dateTimePicker.setDateTime(state);
+        this.handleDateTimeChange();
+        this.addressSearch.setInputValue(state.address.display_name);
+
+        if (!cachedWeather) {
+            this.handleAddressSelect(state.address);
+            return;
+        }
+
+        // A lookup still loading would otherwise replace the restored result
+        this.weatherRequestId++;
+        this.setSelectedAddress(state.address);
+        this.currentWeather = cachedWeather;
+        this.renderCurrentWeather();
+        this.updatePermalink();
+        this.dataFlow.updateWeatherData(cachedWeather);
+    }
+
+    /**
+     * Get the date, time and options currently set in the picker
+     * @returns {Object} Lookup {date, time, interpolate, end}
+     */
+    getLookupState() {
+        const { date, time, interpolate } = this.dateTimePicker.getDateTime();
+        const end = this.dateTimePicker.isRangeMode() ? this.dateTimePicker.getRange().end : null;
+        return { date, time, interpolate, end };
     }
 
+    /**
+     * Record the current lookup in the URL, adding a history entry when it changed
+     * @param {Object} options - Update options
+     * @param {boolean} options.replace - Update the current history entry instead of adding one
+     */
+    updatePermalink({ replace = false } = {}) {
+        const search = encodePermalink({
+            ...this.getLookupState(),
+            address: this.selectedAddress,
+            units: this.unitSettings
+        });
+
+        // Compare re-encoded forms so a hand-typed or shared URL (params in another order,
+        // other coordinate precision, no units) doesn't add a duplicate entry
+        const current = decodePermalink(window.location.search);
+        if (current && search === encodePermalink({ ...current, units: current.units || this.unitSettings })) return;
+        if (replace) {
+            window.history.replaceState(null, '', search);
+        } else {
+            window.history.pushState(null, '', search);
+        }
+    }
+
+    /**
+     * Find where the user is: their saved home area, otherwise IP geolocation,
+     * refined to the device's position when the user has already allowed it
+     */
     async loadUserLocation() {
+        const home = loadHomeArea();
+        if (home) {
+            this.applyUserLocation(home);
+            return;
+        }
+
         try {
-            this.userLocation = await getUserLocation();
-            console.log(`Location detected: ${this.userLocation.latitude}, ${this.userLocation.longitude} (${this.userLocation.city}, ${this.userLocation.region})`);
-            
-            // Update data flow visualization
-            this.dataFlow.updateIPData(this.userLocation);
-            
-            // Pass user location to address search for proximity sorting
-            this.addressSearch.setUserLocation(this.userLocation);
+            this.applyUserLocation(await getUserLocation());
         } catch (err) {
             console.error('IP geolocation error:', err);
-            this.dataFlow.showIPError();
+            this.dataFlow.showIPError(err);
+            this.locationSource.setLocation(null);
+        }
+
+        // Only ask the browser when it won't prompt; otherwise the user opts in with "Use my current location"
+        if (await getDeviceLocationPermission() !== 'granted') return;
+        try {
+            const device = await getDeviceLocation();
+            // A home area set while the position was found still wins
+            if (this.userLocation?.source !== 'home') this.applyUserLocation(device);
+        } catch (err) {
+            console.warn('Device location error:', err);
+        }
+    }
+
+    /**
+     * Centre address searches and the map on a location
+     * @param {Object} location - User location with a `source` (see services/location.js)
+     */
+    applyUserLocation(location) {
+        this.userLocation = location;
+        console.log(`Location (${location.source}): ${location.latitude}, ${location.longitude} (${location.city}, ${location.region})`);
+
+        // Update data flow visualization
+        this.dataFlow.updateIPData(location);
+
+        // Pass user location to address search for proximity sorting
+        this.addressSearch.setUserLocation(location);
+        this.locationMap.setUserLocation(location);
+        this.locationSource.setLocation(location);
+    }
+
+    /**
+     * Look up weather at the device's position, asking for permission if needed
+     */
+    async useCurrentLocation() {
+        this.locationSource.setBusy(true);
+
+        let location;
+        try {
+            location = await getDeviceLocation();
+        } catch (err) {
+            console.error('Device location error:', err);
+            this.locationSource.setBusy(false);
+            this.locationSource.showError(err);
+            return;
+        }
+        this.locationSource.setBusy(false);
+
+        // The device is a better centre for searches than the IP address, but not than a chosen home area
+        if (this.userLocation?.source !== 'home') this.applyUserLocation(location);
+
+        // Looked up at the exact position, labelled with the nearest address
+        this.addressSearch.selectCoordinates(location);
+    }
+
+    handleSetHomeArea() {
+        if (!this.selectedAddress) return;
+        this.applyUserLocation(saveHomeArea(this.selectedAddress));
+    }
+
+    handleClearHomeArea() {
+        clearHomeArea();
+        this.userLocation = null;
+        this.locationSource.showLocating();
+        this.loadUserLocation();
+    }
+
+    /**
+     * Keep the comparison at the time now set in the picker
+     */
+    handleDateTimeChange() {
+        if (this.pinnedAddresses.length > 0) this.compareLocations();
+    }
+
+    handleUnitChange(settings) {
+        this.unitSettings = settings;
+        saveUnitSettings(settings);
+
+        // Re-render from the data already fetched; units never need a refetch
+        if (this.currentWeather) {
+            this.renderCurrentWeather();
+            this.updatePermalink({ replace: true });
         }
+        this.renderComparison();
+        this.lookupHistory.render(this.lookupHistory.entries, settings);
+    }
+
+    renderHistory(entries) {
+        this.lookupHistory.render(entries, this.unitSettings);
     }
 
-    handleAutocompleteResults(results) {
-        // Update data flow visualization with autocomplete results
-        this.dataFlow.updateAutocompleteData(results, results.length);
+    handleAutocompleteResults(results, query) {
+        // Update data flow visualization with autocomplete results and how the query was read
+        this.dataFlow.updateAutocompleteData(results, results.length, parseSearchQuery(query, this.userLocation));
+        this.locationMap.setCandidates(results);
     }
 
     handleAddressSelect(address) {
+        this.setSelectedAddress(address);
+
+        // Fetch and display weather
+        this.fetchWeather();
+    }
+
+    setSelectedAddress(address) {
         this.selectedAddress = address;
+        this.comparisonTable.setSelectedAddress(address);
+        this.locationMap.setSelected(address);
+        this.locationSource.setCanSetHomeArea(Boolean(address));
 
         // Update data flow visualization
         this.dataFlow.updateSelectedAddress(address);
+    }
 
-        // Fetch and display weather
-        this.fetchWeather();
+    pinSelectedAddress() {
+        if (!this.selectedAddress) return;
+
+        // Ignore repeat pins of the same coordinates
+        const { latitude, longitude } = this.selectedAddress;
+        if (this.pinnedAddresses.some(a => a.latitude === latitude && a.longitude === longitude)) return;
+
+        this.pinnedAddresses.push(this.selectedAddress);
+        this.compareLocations();
+    }
+
+    unpinAddress(index) {
+        this.pinnedAddresses.splice(index, 1);
+        this.comparisonEntries.splice(index, 1);
+        this.renderComparison();
+    }
+
+    renderComparison() {
+        this.comparisonTable.renderComparison(this.comparisonEntries.map(entry => ({
+            ...entry,
+            weatherData: entry.weatherData && convertWeatherData(entry.weatherData, this.unitSettings)
+        })), { lookup: this.comparisonLookup });
+    }
+
+    async compareLocations() {
+        const requestId = ++this.comparisonRequestId;
+
+        // Locations are compared at a single local time; in range mode that's the range start
+        const { date, time, interpolate } = this.dateTimePicker.getDateTime();
+        const rangeStart = this.dateTimePicker.isRangeMode();
+        const lookup = { date, time, interpolate: interpolate && !rangeStart, rangeStart };
+        this.comparisonLookup = lookup;
+        this.comparisonTable.showLoading(lookup);
+
+        const pinned = [...this.pinnedAddresses];
+
+        // Fetch every pinned location in parallel; one failure shouldn't hide the rest
+        const results = await Promise.allSettled(
+            pinned.map(address => getWeatherData(address.latitude, address.longitude, date, time, {
+                interpolate: lookup.interpolate
+            }))
+        );
+
+        // A newer pin started its own comparison while this one was loading
+        if (requestId !== this.comparisonRequestId) return;
+
+        this.comparisonEntries = pinned.map((address, i) => {
+            if (results[i].status === 'rejected') {
+                console.error('Comparison weather error:', results[i].reason);
+                return { address, weatherData: null, error: results[i].reason };
+            }
+            return { address, weatherData: results[i].value, error: null };
+        }).filter(entry => this.pinnedAddresses.includes(entry.address)); // Drop locations unpinned while loading
+
+        this.renderComparison();
     }
 
     async fetchWeather() {
         if (!this.selectedAddress) return;
+        const requestId = ++this.weatherRequestId;
 
         // Show loading spinner
         this.weatherDisplay.showLoading();
+        this.reportExport.clear();
+        this.currentWeather = null;
 
         try {
-            const { date, time } = this.dateTimePicker.getDateTime();
+            const address = this.selectedAddress;
+            const lookup = this.getLookupState();
+            let weatherData;
 
-            const weatherData = await getWeatherData(
-                this.selectedAddress.latitude,
-                this.selectedAddress.longitude,
-                date,
-                time
-            );
+            if (lookup.end) {
+                const start = { date: lookup.date, time: lookup.time };
+                weatherData = await getWeatherRange(address.latitude, address.longitude, start, lookup.end);
+            } else {
+                weatherData = await getWeatherData(address.latitude, address.longitude, lookup.date, lookup.time, {
+                    interpolate: lookup.interpolate
+                });
+            }
 
-            // Display weather
-            this.weatherDisplay.render(weatherData);
+            // The pin moved or another lookup started while this one was loading
+            if (requestId !== this.weatherRequestId) return;
+
+            this.currentWeather = weatherData;
+            this.renderCurrentWeather();
+            this.updatePermalink();
+            this.renderHistory(addHistoryEntry(address, lookup, weatherData));
 
             // Update data flow visualization
             this.dataFlow.updateWeatherData(weatherData);
         } catch (err) {
+            if (requestId !== this.weatherRequestId) return;
             console.error('Weather error:', err);
-            this.weatherDisplay.showError("Couldn't retrieve weather data. Check the console for details.");
-            this.dataFlow.showWeatherError();
+            this.weatherDisplay.showError(err);
+            this.dataFlow.showWeatherError(err);
+        }
+    }
+
+    /**
+     * Display and offer for export the current result in the preferred units
+     */
+    renderCurrentWeather() {
+        const weatherData = convertWeatherData(this.currentWeather, this.unitSettings);
+
+        if (isRangeResult(weatherData)) {
+            this.weatherDisplay.renderRange(weatherData);
+        } else {
+            this.weatherDisplay.render(weatherData);
         }
+
+        this.reportExport.setReport(weatherData, this.selectedAddress);
     }
 }
 
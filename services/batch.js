@@ -0,0 +1,318 @@
+/**
+ * Batch Lookup Service
+ * Geocodes rows of addresses and timestamps and enriches them with weather data
+ */
+
+import { searchAddresses } from './geocoding.js';
+import { getWeatherDataForTimes, getWeatherDataAtInstants } from './weather.js';
+import { toCSV } from '../utils/csv.js';
+import { getColumnName, formatFormulas } from '../utils/export.js';
+
+// Header names recognised for each input column (compared case-insensitively)
+const COLUMN_ALIASES = {
+    address: ['address', 'location', 'full address', 'street address'],
+    datetime: ['datetime', 'date time', 'timestamp', 'date/time'],
+    date: ['date', 'incident date'],
+    time: ['time', 'incident time']
+};
+
+/**
+ * Work out which CSV headers hold the address and timestamp
+ * @param {Array<string>} headers - CSV header row
+ * @returns {Object} Column names {address, datetime, date, time} (null where absent)
+ * @throws {Error} If the address column or a usable timestamp column is missing
+ */
+export function detectBatchColumns(headers) {
+    const find = (aliases) => headers.find(h => aliases.includes(h.trim().toLowerCase())) || null;
+
+    const columns = {
+        address: find(COLUMN_ALIASES.address),
+        datetime: find(COLUMN_ALIASES.datetime),
+        date: find(COLUMN_ALIASES.date),
+        time: find(COLUMN_ALIASES.time)
+    };
+
+    if (!columns.address) {
+        throw new Error('CSV needs an "address" column');
+    }
+    if (!columns.datetime && !columns.date) {
+        throw new Error('CSV needs a "datetime" column, or "date" and "time" columns');
+    }
+    return columns;
+}
+
+/**
+ * Parse a row's timestamp into a local date and time
+ *
+ * Accepts ISO dates (2024-03-10) and US dates (3/10/2024), with 24-hour
+ * (14:05, 14:05:30.000) or 12-hour (2:05 PM) times. A missing time defaults
+ * to midnight.
+ *
+ * A time ending in a UTC offset, as in ISO 8601 exports (14:05Z, 14:05+02:00,
+ * 14:05-0500), names an absolute instant rather than local time at the
+ * address; it's returned in `instant` so it can be converted once the
+ * address's timezone is known.
+ *
+ * @param {string} dateText - Date, or a combined date and time
+ * @param {string} timeText - Time, if held in a separate column
+ * @returns {Object} Parsed timestamp {date: 'YYYY-MM-DD', time: 'HH:MM', instant}, with
+ *   date and time as written and instant in milliseconds since the Unix epoch, or null
+ *   when no offset was given
+ * @throws {Error} If the timestamp or its offset can't be read
+ */
+export function parseBatchTimestamp(dateText, timeText = '') {
+    const text = `${dateText} ${timeText}`.trim().replace('T', ' ');
+    const pad = (n) => n.toString().padStart(2, '0');
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(.*)$/);
+    const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(.*)$/);
+    const dateMatch = iso ? [iso[1], iso[2], iso[3], iso[4]] : (us ? [us[3], us[1], us[2], us[4]] : null);
+    if (!dateMatch) {
+        throw new Error(`Unrecognised date "${dateText}"`);
+    }
+
+    const [year, month, day, rest] = dateMatch;
+    const offsetMatch = rest.trim().match(/^(.*?)\s*(?:(Z)|([+-])(\d{2}):?(\d{2}))$/i);
+    const clockText = offsetMatch ? offsetMatch[1] : rest.trim();
+    const timeMatch = clockText.match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2}(?:\.\d+)?)?\s*(am|pm)?$/i);
+    if (clockText && !timeMatch) {
+        throw new Error(`Unrecognised time "${rest.trim()}"`);
+    }
+
+    let hour = timeMatch ? parseInt(timeMatch[1], 10) : 0;
+    const minute = timeMatch?.[2] ? parseInt(timeMatch[2], 10) : 0;
+    const meridiem = timeMatch?.[3]?.toLowerCase();
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+
+    // Day 0 of the next month is the last day of this one
+    const monthNumber = parseInt(month, 10);
+    const dayNumber = parseInt(day, 10);
+    const daysInMonth = new Date(Date.UTC(parseInt(year, 10), monthNumber, 0)).getUTCDate();
+    if (monthNumber < 1 || monthNumber > 12 || dayNumber < 1 || dayNumber > daysInMonth || hour > 23 || minute > 59) {
+        throw new Error(`Invalid date or time "${text}"`);
+    }
+
+    let instant = null;
+    if (offsetMatch) {
+        const [, , utc, sign, offsetHours, offsetMinutes] = offsetMatch;
+        if (!utc && (parseInt(offsetHours, 10) > 14 || parseInt(offsetMinutes, 10) > 59)) {
+            throw new Error(`Invalid UTC offset "${sign}${offsetHours}:${offsetMinutes}"`);
+        }
+        const offset = utc ? 0 : (sign === '-' ? -1 : 1) * (parseInt(offsetHours, 10) * 60 + parseInt(offsetMinutes, 10));
+        instant = Date.UTC(parseInt(year, 10), monthNumber - 1, dayNumber, hour, minute) - offset * 60 * 1000;
+    }
+
+    return {
+        date: `${year}-${pad(month)}-${pad(day)}`,
+        time: `${pad(hour)}:${pad(minute)}`,
+        instant
+    };
+}
+
+/**
+ * Score how well a geocoding result matches the query it came from
+ *
+ * Combines the share of query words found in the result (80%) with
+ * the provider's own importance ranking (20%), and penalises results that
+ * lack the house number the query asked for.
+ *
+ * @param {string} query - Address as written in the CSV
+ * @param {Object} place - Top normalised place from searchAddresses
+ * @returns {number} Confidence from 0 to 1
+ */
+export function scoreGeocodeMatch(query, place) {
+    const tokenize = (text) => text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) return 0;
+
+    const resultTokens = new Set(tokenize(place.display_name || ''));
+    const matched = queryTokens.filter(token => resultTokens.has(token)).length;
+    let score = 0.8 * (matched / queryTokens.length) + 0.2 * (place.importance || 0);
+
+    const houseNumber = query.trim().match(/^\d+[a-z]?\b/i)?.[0].toLowerCase();
+    if (houseNumber && place.address?.house_number?.toLowerCase() !== houseNumber) {
+        score *= 0.7;
+    }
+
+    return parseFloat(Math.min(1, score).toFixed(2));
+}
+
+/**
+ * Geocode and look up weather for every row of a batch
+ *
+ * Each distinct address is geocoded once, no faster than one request per
+ * second. Rows are then grouped by location and local date (or UTC date, for
+ * timestamps with an offset) so each day's weather is fetched only once.
+ * Failures are recorded per row rather than stopping the batch; aborting the
+ * signal stops it.
+ *
+ * @param {Array<Object>} records - CSV rows keyed by header
+ * @param {Object} columns - Column names from detectBatchColumns
+ * @param {Object} options - Batch options
+ * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @param {Function} options.onProgress - Called with {phase, completed, total}
+ * @returns {Promise<Array<Object>>} One {record, place, confidence, weatherData, error} per row
+ */
+export async function runBatchLookup(records, columns, { signal = null, onProgress = null } = {}) {
+    const results = records.map(record => ({
+        record,
+        place: null,
+        confidence: null,
+        timestamp: null,
+        weatherData: null,
+        error: null
+    }));
+
+    results.forEach(result => {
+        try {
+            result.timestamp = columns.datetime
+                ? parseBatchTimestamp(result.record[columns.datetime])
+                : parseBatchTimestamp(result.record[columns.date], columns.time ? result.record[columns.time] : '');
+        } catch (err) {
+            result.error = err.message;
+        }
+    });
+
+    const addresses = [...new Set(results
+        .filter(result => !result.error)
+        .map(result => result.record[columns.address])
+        .filter(Boolean))];
+
+    let completed = 0;
+    let total = addresses.length;
+    const report = (phase) => {
+        if (onProgress) onProgress({ phase, completed, total });
+    };
+    report('geocoding');
+
+    // Phase 1: geocode each distinct address, one at a time; the geocoding
+    // request queue keeps this within the provider's rate limit
+    const geocoded = new Map();
+    for (const address of addresses) {
+        signal?.throwIfAborted();
+
+        try {
+            const [place] = await searchAddresses(address, null, signal);
+            geocoded.set(address, place ? { place, confidence: scoreGeocodeMatch(address, place) } : null);
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            geocoded.set(address, { error: err.message });
+        }
+
+        completed++;
+        report('geocoding');
+    }
+
+    // Phase 2: group rows by location and date, one weather request per group
+    const groups = new Map();
+    results.forEach(result => {
+        if (result.error) return;
+
+        const match = geocoded.get(result.record[columns.address]);
+        if (!match || match.error) {
+            result.error = match?.error || 'Address not found';
+            return;
+        }
+
+        result.place = match.place;
+        result.confidence = match.confidence;
+
+        // Timestamps with an offset are instants, grouped by UTC date until the
+        // address's timezone is known
+        const { date, instant } = result.timestamp;
+        const day = instant === null ? date : `utc:${new Date(instant).toISOString().slice(0, 10)}`;
+        const key = `${match.place.latitude},${match.place.longitude}|${day}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(result);
+    });
+
+    total += groups.size;
+    report('weather');
+
+    for (const group of groups.values()) {
+        signal?.throwIfAborted();
+
+        const { place, timestamp } = group[0];
+        try {
+            const weather = timestamp.instant === null
+                ? await getWeatherDataForTimes(
+                    place.latitude,
+                    place.longitude,
+                    timestamp.date,
+                    group.map(result => result.timestamp.time),
+                    { signal }
+                )
+                : await getWeatherDataAtInstants(
+                    place.latitude,
+                    place.longitude,
+                    group.map(result => result.timestamp.instant),
+                    { signal }
+                );
+            group.forEach((result, i) => {
+                if (weather[i] instanceof Error) {
+                    result.error = weather[i].message;
+                } else {
+                    result.weatherData = weather[i];
+                }
+            });
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            group.forEach(result => {
+                result.error = err.message;
+            });
+        }
+
+        completed++;
+        report('weather');
+    }
+
+    return results;
+}
+
+/**
+ * Build the enriched CSV: original columns followed by geocoding and weather columns
+ * @param {Array<string>} headers - Original CSV headers
+ * @param {Array<Object>} results - Results from runBatchLookup
+ * @returns {string} CSV text
+ */
+export function buildBatchCSV(headers, results) {
+    // Rows can come from different providers (archive or forecast), so take every
+    // parameter any row has, in the order first seen
+    const fetched = results.map(result => result.weatherData).filter(Boolean);
+    const params = [...new Set(fetched.flatMap(weather => Object.keys(weather.hourly_data)))]
+        .filter(param => param !== 'time');
+    const unitOf = (param) => fetched.find(weather => param in weather.hourly_data).units[param];
+
+    const header = [
+        ...headers,
+        'geocoded_address',
+        'latitude',
+        'longitude',
+        'geocode_confidence',
+        'timezone',
+        'utc_offset',
+        'weather_time',
+        'weather_source',
+        ...params.map(param => getColumnName(param, unitOf(param))),
+        'formulas',
+        'error'
+    ];
+
+    const rows = results.map(({ record, place, confidence, weatherData, error }) => [
+        ...headers.map(h => record[h]),
+        place?.display_name ?? '',
+        place?.latitude ?? '',
+        place?.longitude ?? '',
+        confidence ?? '',
+        weatherData?.timezone ?? '',
+        weatherData?.utc_offset ?? '',
+        weatherData?.hourly_data.time ?? '',
+        weatherData?.source ?? '',
+        ...params.map(param => weatherData?.hourly_data[param] ?? ''),
+        weatherData ? formatFormulas(weatherData.derived_fields) : '',
+        error ?? ''
+    ]);
+
+    return toCSV([header, ...rows]);
+}
@@ -0,0 +1,218 @@
+/**
+ * Response Cache Service
+ * Shared cache for geocoding and weather responses, persisted in IndexedDB
+ * with per-entry expiry and least-recently-used eviction
+ *
+ * Falls back to an in-memory cache for the session when IndexedDB is
+ * unavailable (private browsing, blocked storage).
+ */
+
+const DB_NAME = 'locationWeatherCache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+// Least recently used entries are evicted beyond this many
+const MAX_ENTRIES = 500;
+
+// Recent cache events kept for the DataFlow panel
+const MAX_EVENTS = 20;
+
+let databasePromise = null;
+const memoryCache = new Map();
+const listeners = new Set();
+const stats = { hits: 0, misses: 0, events: [] };
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open the cache database once, resolving to null if IndexedDB can't be used
+ * @returns {Promise<IDBDatabase|null>} Database, or null for the in-memory fallback
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                    store.createIndex('accessed_at', 'accessed_at');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Response cache unavailable, using memory only:', request.error);
+                    resolve(null);
+                };
+            } catch (err) {
+                console.warn('Response cache unavailable, using memory only:', err);
+                resolve(null);
+            }
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Delete the least recently used entries beyond the size cap
+ * @param {IDBObjectStore} store - Store within a readwrite transaction
+ * @returns {Promise<void>}
+ */
+async function evictLeastRecentlyUsed(store) {
+    let excess = await promisifyRequest(store.count()) - MAX_ENTRIES;
+    if (excess <= 0) return;
+
+    const cursorRequest = store.index('accessed_at').openCursor();
+    await new Promise((resolve, reject) => {
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || excess <= 0) {
+                resolve();
+                return;
+            }
+            cursor.delete();
+            excess--;
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+}
+
+/**
+ * Record a hit or miss and notify listeners
+ * @param {string} namespace - Cache namespace, e.g. 'weather'
+ * @param {string} key - Entry key within the namespace
+ * @param {boolean} hit - Whether the entry was found and fresh
+ */
+function recordEvent(namespace, key, hit) {
+    const event = { namespace, key, hit, at: new Date().toISOString() };
+
+    if (hit) stats.hits++;
+    else stats.misses++;
+    stats.events = [event, ...stats.events].slice(0, MAX_EVENTS);
+
+    listeners.forEach(listener => listener(event, getCacheStats()));
+}
+
+/**
+ * Read a fresh cached value, refreshing its last-used time
+ * @param {string} namespace - Cache namespace, e.g. 'weather' or 'geocoding'
+ * @param {string} key - Entry key within the namespace
+ * @returns {Promise<*>} Cached value, or null on a miss or expired entry
+ */
+export async function readCache(namespace, key) {
+    const fullKey = `${namespace}:${key}`;
+    const now = Date.now();
+    let entry = null;
+
+    try {
+        const db = await openDatabase();
+        if (db) {
+            const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+            entry = await promisifyRequest(store.get(fullKey));
+            if (entry && entry.expires_at <= now) {
+                store.delete(fullKey);
+                entry = null;
+            } else if (entry) {
+                store.put({ ...entry, accessed_at: now });
+            }
+        } else {
+            entry = memoryCache.get(fullKey) || null;
+            memoryCache.delete(fullKey);
+            if (entry && entry.expires_at > now) {
+                // Re-insert so Map order tracks recency
+                memoryCache.set(fullKey, entry);
+                entry = { ...entry, value: structuredClone(entry.value) };
+            } else {
+                entry = null;
+            }
+        }
+    } catch (err) {
+        console.warn('Response cache read failed:', err);
+        entry = null;
+    }
+
+    recordEvent(namespace, key, Boolean(entry));
+    return entry ? entry.value : null;
+}
+
+/**
+ * Store a value. Failures are logged rather than thrown, since the
+ * response has already been fetched and can still be used.
+ * @param {string} namespace - Cache namespace, e.g. 'weather' or 'geocoding'
+ * @param {string} key - Entry key within the namespace
+ * @param {*} value - Structured-cloneable value
+ * @param {number} ttlMs - Time to live in milliseconds
+ * @returns {Promise<void>}
+ */
+export async function writeCache(namespace, key, value, ttlMs) {
+    const now = Date.now();
+    const entry = {
+        key: `${namespace}:${key}`,
+        namespace,
+        value,
+        stored_at: now,
+        accessed_at: now,
+        expires_at: now + ttlMs
+    };
+
+    try {
+        const db = await openDatabase();
+        if (db) {
+            const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+            await promisifyRequest(store.put(entry));
+            await evictLeastRecentlyUsed(store);
+        } else {
+            memoryCache.delete(entry.key);
+            memoryCache.set(entry.key, { ...entry, value: structuredClone(value) });
+            while (memoryCache.size > MAX_ENTRIES) {
+                memoryCache.delete(memoryCache.keys().next().value);
+            }
+        }
+    } catch (err) {
+        console.warn('Response cache write failed:', err);
+    }
+}
+
+/**
+ * Remove every cached response
+ * @returns {Promise<void>}
+ */
+export async function clearCache() {
+    memoryCache.clear();
+    const db = await openDatabase();
+    if (db) {
+        await promisifyRequest(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+    }
+}
+
+/**
+ * Get hit and miss counts for this session, with the most recent events
+ * @returns {Object} Stats {hits, misses, events}
+ */
+export function getCacheStats() {
+    return { hits: stats.hits, misses: stats.misses, events: [...stats.events] };
+}
+
+/**
+ * Listen for cache hits and misses
+ * @param {Function} listener - Called with (event {namespace, key, hit, at}, stats)
+ * @returns {Function} Unsubscribe function
+ */
+export function onCacheEvent(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
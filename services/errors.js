@@ -0,0 +1,164 @@
+/**
+ * Service Errors
+ * Typed errors for failed lookups, and the messages shown to the user for each
+ *
+ * Every error raised by services/http.js is one of these, so callers can tell
+ * a dropped connection from a rate limit or a bad date without parsing messages.
+ */
+
+/**
+ * Base class for service errors
+ */
+export class ServiceError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} details - Error details
+     * @param {string|null} details.service - Service that failed, e.g. 'Nominatim'
+     * @param {number|null} details.status - HTTP status, if a response was received
+     * @param {Error} details.cause - Underlying error
+     */
+    constructor(message, { service = null, status = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ServiceError';
+        this.service = service;
+        this.status = status;
+        // Requests made, including retries (set by services/http.js)
+        this.attempts = 1;
+    }
+}
+
+/**
+ * The service couldn't be reached, or didn't answer in time
+ */
+export class NetworkError extends ServiceError {
+    constructor(message, { timedOut = false, ...details } = {}) {
+        super(message, details);
+        this.name = 'NetworkError';
+        this.timedOut = timedOut;
+    }
+}
+
+/**
+ * The service is limiting requests (HTTP 429)
+ */
+export class RateLimitError extends ServiceError {
+    constructor(message, { retryAfterMs = null, ...details } = {}) {
+        super(message, details);
+        this.name = 'RateLimitError';
+        // How long the service asked us to wait, if it said
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * The request worked but there is nothing for it, e.g. a date beyond the forecast
+ */
+export class NoDataError extends ServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NoDataError';
+    }
+}
+
+/**
+ * The request was rejected because of what was asked for, e.g. an invalid date
+ */
+export class InvalidInputError extends ServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'InvalidInputError';
+    }
+}
+
+/**
+ * The service failed on its side (HTTP 5xx, refused or unreadable responses)
+ */
+export class ProviderError extends ServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ProviderError';
+    }
+}
+
+/**
+ * The user or browser didn't allow access, e.g. to the device's location
+ */
+export class PermissionDeniedError extends ServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'PermissionDeniedError';
+    }
+}
+
+/**
+ * Describe a wait for the user
+ * @param {number} ms - Wait in milliseconds
+ * @returns {string} E.g. "30 seconds" or "2 minutes"
+ */
+function formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 90) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    return `${Math.ceil(seconds / 60)} minutes`;
+}
+
+/**
+ * End a message with a single full stop
+ * @param {string} text - Message, which providers may or may not punctuate
+ * @returns {string} Message ending in '.'
+ */
+function sentence(text) {
+    return `${text.replace(/[.\s]+$/, '')}.`;
+}
+
+/**
+ * Get a user-facing title and message for an error, with what to do about it
+ * @param {Error} err - Any error
+ * @returns {Object} {title, message}
+ */
+export function describeError(err) {
+    const service = err.service || 'The service';
+
+    if (err instanceof NetworkError) {
+        return {
+            title: err.timedOut ? `${service} didn't respond` : `Couldn't reach ${service}`,
+            message: err.timedOut
+                ? 'The request timed out. Try again in a moment.'
+                : 'Check your internet connection (or that a self-hosted service is running) and try again.'
+        };
+    }
+    if (err instanceof RateLimitError) {
+        const wait = err.retryAfterMs ? formatWait(err.retryAfterMs) : 'a minute';
+        return {
+            title: 'Too many requests',
+            message: `${service} is limiting requests. Wait ${wait} and try again.`
+        };
+    }
+    if (err instanceof NoDataError) {
+        return {
+            title: 'No data',
+            message: `${sentence(err.message)} Try another date, time or location.`
+        };
+    }
+    if (err instanceof InvalidInputError) {
+        return {
+            title: 'Check your input',
+            message: `${sentence(err.message)} Correct it and try again.`
+        };
+    }
+    if (err instanceof PermissionDeniedError) {
+        return {
+            title: 'Permission needed',
+            message: `${sentence(err.message)} Allow it in your browser's site settings, or set a home area instead.`
+        };
+    }
+    if (err instanceof ProviderError) {
+        return {
+            title: `${service} had a problem`,
+            message: `${sentence(err.message)} This is usually temporary; try again in a few minutes.`
+        };
+    }
+    return {
+        title: 'Something went wrong',
+        message: 'Check the console for details.'
+    };
+}
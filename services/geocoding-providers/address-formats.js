@@ -0,0 +1,75 @@
+/**
+ * Address Conventions by Country
+ * Which language a country's addresses are written in, and how its address
+ * lines are ordered, for query normalisation and place labels
+ *
+ * Countries are ISO 3166-1 alpha-2 codes in lower case. Countries not listed
+ * use the US conventions, which most English-speaking countries share.
+ */
+
+// Main language of street names and abbreviations
+const COUNTRY_LANGUAGES = {
+    us: 'en', ca: 'en', gb: 'en', ie: 'en', au: 'en', nz: 'en', za: 'en', in: 'en', sg: 'en',
+    de: 'de', at: 'de', ch: 'de', li: 'de',
+    fr: 'fr', be: 'fr', lu: 'fr', mc: 'fr',
+    es: 'es', mx: 'es', ar: 'es', co: 'es', cl: 'es', pe: 'es',
+    it: 'it', sm: 'it',
+    nl: 'nl',
+    pt: 'pt', br: 'pt'
+};
+
+/**
+ * Address line conventions
+ * - numberAfterStreet: "Hauptstraße 5" rather than "5 Main Street"
+ * - postcodeBeforeCity: "10115 Berlin" rather than "Springfield, 62701"
+ * - showState: whether the state or province is part of a postal address
+ */
+const DEFAULT_FORMAT = { numberAfterStreet: false, postcodeBeforeCity: false, showState: true };
+
+const COUNTRY_FORMATS = {
+    gb: { numberAfterStreet: false, postcodeBeforeCity: false, showState: false },
+    ie: { numberAfterStreet: false, postcodeBeforeCity: false, showState: false },
+    nz: { numberAfterStreet: false, postcodeBeforeCity: false, showState: false },
+    fr: { numberAfterStreet: false, postcodeBeforeCity: true, showState: false },
+    lu: { numberAfterStreet: false, postcodeBeforeCity: true, showState: false },
+    mc: { numberAfterStreet: false, postcodeBeforeCity: true, showState: false },
+    de: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    at: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    ch: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    li: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    nl: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    be: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    es: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    it: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    pt: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    se: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    no: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    dk: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    fi: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    pl: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    cz: { numberAfterStreet: true, postcodeBeforeCity: true, showState: false },
+    mx: { numberAfterStreet: true, postcodeBeforeCity: true, showState: true },
+    br: { numberAfterStreet: true, postcodeBeforeCity: false, showState: true },
+    ar: { numberAfterStreet: true, postcodeBeforeCity: true, showState: true }
+};
+
+/**
+ * Get the address line conventions for a country
+ * @param {string|null} countryCode - ISO 3166-1 alpha-2 code
+ * @returns {Object} Format {numberAfterStreet, postcodeBeforeCity, showState}
+ */
+export function getAddressFormat(countryCode) {
+    return COUNTRY_FORMATS[countryCode?.toLowerCase()] || DEFAULT_FORMAT;
+}
+
+/**
+ * Get the address languages of a set of countries, without duplicates
+ * @param {Array<string>|null} countryCodes - ISO 3166-1 alpha-2 codes, or null for worldwide
+ * @returns {Array<string>} Language codes in country order (English when no countries are given),
+ *   leaving out countries whose language isn't listed
+ */
+export function getAddressLanguages(countryCodes) {
+    if (!countryCodes || countryCodes.length === 0) return ['en'];
+    const languages = countryCodes.map(code => COUNTRY_LANGUAGES[code.toLowerCase()]).filter(Boolean);
+    return [...new Set(languages)];
+}
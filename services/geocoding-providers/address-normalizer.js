@@ -0,0 +1,271 @@
+/**
+ * Address Query Normaliser
+ * Turns typed address text into canonical search tokens using the tables in
+ * address-tables.js
+ *
+ * Tokens are classified by where they sit in the address as well as by
+ * spelling, so "St" is "saint" in "St Charles Ave" but "street" in "Main St",
+ * "N" is a directional in "123 N Main" but the street name in "N St", and
+ * "CA" after a city is California rather than a partial word to wildcard.
+ * Everything here is a pure function of its input, with no network or DOM access.
+ */
+
+import {
+    STREET_SUFFIXES,
+    NAME_PREFIXES,
+    SECONDARY_UNITS,
+    US_STATES,
+    DIRECTIONALS,
+    LOCALE_ABBREVIATIONS,
+    COMPOUND_SUFFIXES
+} from './address-tables.js';
+import { getAddressLanguages } from './address-formats.js';
+
+// Any spelling of a street suffix → its primary name, e.g. 'blvd' → 'boulevard'
+const SUFFIX_LOOKUP = new Map();
+Object.entries(STREET_SUFFIXES).forEach(([name, abbreviations]) => {
+    [name, ...abbreviations].forEach(spelling => {
+        // The first suffix to claim a spelling keeps it ('mdw' is meadow, not meadows)
+        if (!SUFFIX_LOOKUP.has(spelling)) SUFFIX_LOOKUP.set(spelling, name);
+    });
+});
+
+// Designator or abbreviation → designator, e.g. 'ste' → 'suite'
+const UNIT_LOOKUP = new Map();
+Object.entries(SECONDARY_UNITS).forEach(([designator, { abbreviation }]) => {
+    UNIT_LOOKUP.set(designator, designator);
+    UNIT_LOOKUP.set(abbreviation, designator);
+});
+
+// Roles that can carry a street name, so a suffix may follow them
+const STREET_NAME_ROLES = ['word', 'ordinal', 'suffix', 'name_prefix'];
+
+// Unit identifiers: "12", "2B", "B", "B2", "12-A"
+const UNIT_IDENTIFIER = /^(\d+[a-z]?|[a-z]\d*|\d+-[a-z\d]+)$/;
+
+const ZIP_CODE = /^\d{5}(-\d{4})?$/;
+
+// Only the token being typed gets a wildcard, and only when it's this short
+const WILDCARD_TOKEN = /^\p{L}{2,4}$/u;
+
+/**
+ * Get the primary name of a street suffix in any Pub 28 spelling
+ * @param {string} token - Lower-case token, e.g. 'blvd'
+ * @returns {string|null} Primary name, e.g. 'boulevard', or null if not a suffix
+ */
+export function expandStreetSuffix(token) {
+    return SUFFIX_LOOKUP.get(token) || null;
+}
+
+/**
+ * Get the secondary unit designator for a token
+ * @param {string} token - Lower-case token, e.g. 'ste' or '#'
+ * @returns {string|null} Designator, e.g. 'suite', or null if not a designator
+ */
+export function expandUnitDesignator(token) {
+    return UNIT_LOOKUP.get(token) || null;
+}
+
+/**
+ * Write a number as an ordinal with the correct suffix
+ * @param {string} token - Digits with or without a suffix, e.g. '42', '42nd', '2th' or '3d'
+ * @returns {string|null} Ordinal, e.g. '42nd' or '2nd', or null if the token isn't numeric
+ */
+export function normalizeOrdinal(token) {
+    const match = token.match(/^(\d+)(st|nd|rd|th|d)?$/);
+    if (!match) return null;
+
+    const n = parseInt(match[1], 10);
+    let suffix = 'th';
+    if (n % 100 < 11 || n % 100 > 13) {
+        suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+    }
+    return `${n}${suffix}`;
+}
+
+/**
+ * Split address text into lower-case tokens
+ *
+ * Punctuation is dropped except inside words ("wilkes-barre") and ZIP+4
+ * codes; "#12" splits into '#' and '12'; and ordinals typed with a space
+ * ("42 nd") are joined back together.
+ *
+ * @param {string} input - Raw user input
+ * @returns {Array<Object>} Tokens {text, segment, afterComma}: segment counts the commas before
+ *   the token, and afterComma marks the first token after a comma
+ */
+export function tokenizeAddress(input) {
+    const tokens = [];
+
+    input.toLowerCase().split(/[,;]/).forEach((segment, segmentIndex) => {
+        let first = true;
+        segment.replace(/#/g, ' # ').split(/\s+/).forEach(raw => {
+            const text = raw === '#'
+                ? '#'
+                : raw.replace(/[^\p{L}\p{N}-]/gu, '').replace(/^-+|-+$/g, '');
+            if (!text) return;
+
+            const previous = tokens[tokens.length - 1];
+            if (/^(nd|rd|th)$/.test(text) && previous && /^\d+$/.test(previous.text) && !first) {
+                previous.text += text;
+                return;
+            }
+
+            tokens.push({ text, segment: segmentIndex, afterComma: segmentIndex > 0 && first });
+            first = false;
+        });
+    });
+
+    return tokens;
+}
+
+/**
+ * Classify and normalise each token of an address query
+ *
+ * Roles: 'house_number', 'number', 'ordinal', 'directional', 'name_prefix',
+ * 'suffix', 'unit_designator', 'unit', 'state', 'postcode' and 'word'.
+ * Pub 28 rules apply when English is among the searched countries' address
+ * languages (see address-formats.js), and state codes when the US is searched;
+ * other languages expand their own street abbreviations.
+ *
+ * @param {string} input - Raw user input
+ * @param {Object} options - Analysis options
+ * @param {Array<string>|null} options.countries - Countries searched, or null for worldwide
+ * @returns {Array<Object>} Tokens {text, value, role, segment}, where value is the canonical form
+ *   and segment counts the commas before the token
+ */
+export function analyzeAddressQuery(input, { countries = null } = {}) {
+    const tokens = tokenizeAddress(input);
+    const languages = getAddressLanguages(countries);
+    const english = languages.includes('en');
+    const usStates = !countries || countries.includes('us');
+
+    // Earlier languages win where abbreviations conflict
+    const otherLanguages = languages.filter(language => language !== 'en').reverse();
+    const localeAbbreviations = Object.assign({}, ...otherLanguages.map(language => LOCALE_ABBREVIATIONS[language] || {}));
+    const compoundSuffixes = Object.entries(Object.assign({}, ...otherLanguages.map(language => COMPOUND_SUFFIXES[language] || {})));
+
+    const result = [];
+    let seenSuffix = false;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const { text, segment, afterComma } = tokens[i];
+        const next = tokens[i + 1]?.text;
+        const previous = result[i - 1];
+        const hasWordBefore = result.some(token => token.role === 'word');
+        const push = (value, role) => result.push({ text, value, role, segment });
+
+        // House number: leading digits, with an optional letter ("123", "123a")
+        if (i === 0 && /^\d+[a-z]?$/.test(text)) {
+            push(text, 'house_number');
+            continue;
+        }
+
+        if (ZIP_CODE.test(text)) {
+            push(text.slice(0, 5), 'postcode');
+            continue;
+        }
+
+        if (english) {
+            // State code after the street or city: before a ZIP, after a comma, or
+            // last, unless it could still be a suffix or directional ("Main Ct")
+            if (usStates && US_STATES[text] && hasWordBefore && (
+                (next && ZIP_CODE.test(next)) ||
+                (afterComma && !next) ||
+                (!next && (seenSuffix || (!SUFFIX_LOOKUP.has(text) && !DIRECTIONALS[text])))
+            )) {
+                push(US_STATES[text], 'state');
+                continue;
+            }
+
+            // Secondary unit after the street: "Apt 4B", "Ste 200", "# 12", "Rear"
+            const designator = UNIT_LOOKUP.get(text);
+            if (designator && i > 0 && (seenSuffix || hasWordBefore)) {
+                const { requiresNumber } = SECONDARY_UNITS[designator];
+                if (requiresNumber && next && UNIT_IDENTIFIER.test(next)) {
+                    push(designator, 'unit_designator');
+                    i++;
+                    result.push({ text: next, value: next, role: 'unit', segment: tokens[i].segment });
+                    continue;
+                }
+                if (!requiresNumber && seenSuffix) {
+                    push(designator, 'unit_designator');
+                    continue;
+                }
+            }
+
+            // A number just before a suffix is a numbered street ("5 Ave" → "5th avenue")
+            if (/^\d+$/.test(text) && next && SUFFIX_LOOKUP.has(next)) {
+                push(normalizeOrdinal(text), 'ordinal');
+                continue;
+            }
+            if (/^\d+(st|nd|rd|th|d)$/.test(text)) {
+                push(normalizeOrdinal(text), 'ordinal');
+                continue;
+            }
+
+            // A directional followed by a suffix is the street's name ("N St")
+            if (DIRECTIONALS[text] && !(next && SUFFIX_LOOKUP.has(next))) {
+                push(DIRECTIONALS[text], 'directional');
+                continue;
+            }
+
+            // "St", "Ft" and "Mt" starting a name ("St Charles", "Main St, St Louis")
+            const startsName = !previous || afterComma || !STREET_NAME_ROLES.includes(previous.role) || previous.role === 'suffix';
+            if (NAME_PREFIXES[text] && next && startsName) {
+                push(NAME_PREFIXES[text], 'name_prefix');
+                continue;
+            }
+
+            // Suffix after a street name ("Main St", "5th Ave", "Forest Park Blvd")
+            if (SUFFIX_LOOKUP.has(text) && previous && STREET_NAME_ROLES.includes(previous.role)) {
+                push(SUFFIX_LOOKUP.get(text), 'suffix');
+                seenSuffix = true;
+                continue;
+            }
+        }
+
+        if (/^\d+$/.test(text)) {
+            push(text, 'number');
+            continue;
+        }
+
+        if (localeAbbreviations[text]) {
+            push(localeAbbreviations[text], 'suffix');
+            seenSuffix = true;
+            continue;
+        }
+
+        // Street types abbreviated at the end of a compound name ("Hauptstr")
+        const compound = compoundSuffixes.find(([short]) => text.length > short.length + 2 && text.endsWith(short));
+        if (compound) {
+            push(text.slice(0, -compound[0].length) + compound[1], 'word');
+            continue;
+        }
+
+        push(text, 'word');
+    }
+
+    return result;
+}
+
+/**
+ * Normalise an address query into canonical search text
+ * @param {string} input - Raw user input
+ * @param {Object} options - Normalisation options
+ * @param {Array<string>|null} options.countries - Countries searched, or null for worldwide
+ * @param {boolean} options.wildcard - Add '*' to a short final word the user may still be typing
+ * @param {boolean} options.keepUnits - Keep secondary units ("apt 4b"), which most geocoders don't index
+ * @returns {string} Normalised query, e.g. "123 north main street springfield illinois 62701"
+ */
+export function normalizeAddressQuery(input, { countries = null, wildcard = true, keepUnits = false } = {}) {
+    const tokens = analyzeAddressQuery(input, { countries })
+        .filter(token => keepUnits || (token.role !== 'unit_designator' && token.role !== 'unit'));
+
+    return tokens.map((token, i) => {
+        const isLast = i === tokens.length - 1;
+        return wildcard && isLast && token.role === 'word' && WILDCARD_TOKEN.test(token.value)
+            ? `${token.value}*`
+            : token.value;
+    }).join(' ');
+}
@@ -0,0 +1,123 @@
+/**
+ * Address Parser
+ * Splits a typed address into components (house number, street, unit, city,
+ * state, postcode) from the token roles assigned by address-normalizer.js
+ *
+ * Commas are the strongest hint: "123 Main St, Springfield, IL 62701". Without
+ * them the street ends at its suffix (and any post-directional), so
+ * "123 Main St Springfield IL" parses the same way.
+ */
+
+import { analyzeAddressQuery } from './address-normalizer.js';
+import { getAddressFormat } from './address-formats.js';
+
+/**
+ * Parse an address into components
+ * @param {string} input - Raw user input
+ * @param {Object} options - Parse options
+ * @param {Array<string>|null} options.countries - Countries searched, or null for worldwide
+ * @returns {Object} Components {house_number, street, unit, city, state, postcode}, each
+ *   normalised text or null
+ */
+export function parseAddress(input, { countries = null } = {}) {
+    const tokens = analyzeAddressQuery(input, { countries });
+    const numberAfterStreet = getAddressFormat(countries?.length === 1 ? countries[0] : null).numberAfterStreet;
+
+    let houseNumber = null;
+    let state = null;
+    let postcode = null;
+    const street = [];
+    const unit = [];
+    const city = [];
+
+    // Which component plain words belong to: 'street', then 'city', then 'done'
+    // once the state or postcode is reached (words after that are a country)
+    let part = 'street';
+    let streetSegment = null;
+    let postcodeSegment = null;
+    let streetEnded = false;
+    let sawSuffix = false;
+
+    tokens.forEach((token, i) => {
+        const next = tokens[i + 1];
+
+        switch (token.role) {
+            case 'house_number':
+                houseNumber = token.value;
+                return;
+            case 'postcode':
+                postcode = token.value;
+                postcodeSegment = token.segment;
+                part = 'done';
+                return;
+            case 'state':
+                state = token.value;
+                part = 'done';
+                return;
+            case 'unit_designator':
+            case 'unit':
+                unit.push(token.value);
+                if (street.length > 0) streetEnded = true;
+                return;
+        }
+
+        // "Hauptstraße 5": a number ending the street segment is its house number
+        if (token.role === 'number' && part === 'street' && street.length > 0 && !houseNumber &&
+            (numberAfterStreet || !next || next.segment !== token.segment)) {
+            houseNumber = token.value;
+            streetEnded = true;
+            return;
+        }
+
+        // A comma or the end of the street moves on to the city
+        if (part === 'street' && street.length > 0 && (streetEnded || token.segment !== streetSegment)) {
+            part = 'city';
+        }
+
+        if (part === 'street') {
+            street.push(token.value);
+            streetSegment = token.segment;
+            if (token.role === 'suffix') {
+                sawSuffix = true;
+                // A post-directional ("Main St NW") still belongs to the street
+                streetEnded = next?.role !== 'directional' || next.segment !== token.segment;
+            } else if (token.role === 'directional' && sawSuffix) {
+                streetEnded = true;
+            }
+        } else if (part === 'city' || (part === 'done' && !state && token.segment === postcodeSegment)) {
+            // Postcode-first countries write "10115 Berlin"
+            city.push(token.value);
+        }
+    });
+
+    // "Springfield, IL" or "Springfield IL 62701": without a house number or
+    // suffix, the words before the state are a city rather than a street
+    if (!houseNumber && !sawSuffix && city.length === 0 && (state || postcode)) {
+        city.push(...street);
+        street.length = 0;
+    }
+
+    const join = (words) => (words.length > 0 ? words.join(' ') : null);
+    return {
+        house_number: houseNumber,
+        street: join(street),
+        unit: join(unit),
+        city: join(city),
+        state,
+        postcode
+    };
+}
+
+/**
+ * Check whether a parsed address is complete enough for a structured search
+ *
+ * Requires a house number and street, plus a state or postcode; those come
+ * last, so the city before them has been typed in full rather than still
+ * being partial text that a structured search would fail to match.
+ *
+ * @param {Object} address - Components from parseAddress
+ * @returns {boolean} True to search by components
+ */
+export function isStructuredAddress(address) {
+    return Boolean(address.house_number && address.street && (address.state || address.postcode));
+}
@@ -0,0 +1,347 @@
+/**
+ * Address Data Tables
+ * Reference data for address query normalisation (see address-normalizer.js)
+ *
+ * US tables follow USPS Publication 28, Postal Addressing Standards:
+ * Appendix C1 (street suffixes), C2 (secondary unit designators) and the
+ * state abbreviations in Appendix B. Keys and values are lower case.
+ */
+
+/**
+ * Street suffixes (Pub 28 C1): primary suffix name → [postal standard
+ * abbreviation, ...commonly used abbreviations and misspellings]
+ */
+export const STREET_SUFFIXES = {
+    'alley': ['aly', 'allee', 'ally'],
+    'anex': ['anx', 'annex', 'annx'],
+    'arcade': ['arc'],
+    'avenue': ['ave', 'av', 'aven', 'avenu', 'avn', 'avnue'],
+    'bayou': ['byu', 'bayoo'],
+    'beach': ['bch'],
+    'bend': ['bnd'],
+    'bluff': ['blf', 'bluf'],
+    'bluffs': ['blfs'],
+    'bottom': ['btm', 'bot', 'bottm'],
+    'boulevard': ['blvd', 'boul', 'boulv'],
+    'branch': ['br', 'brnch'],
+    'bridge': ['brg', 'brdge'],
+    'brook': ['brk'],
+    'brooks': ['brks'],
+    'burg': ['bg'],
+    'burgs': ['bgs'],
+    'bypass': ['byp', 'bypa', 'bypas', 'byps'],
+    'camp': ['cp', 'cmp'],
+    'canyon': ['cyn', 'canyn', 'cnyn'],
+    'cape': ['cpe'],
+    'causeway': ['cswy', 'causwa'],
+    'center': ['ctr', 'cen', 'cent', 'centr', 'centre', 'cnter', 'cntr'],
+    'centers': ['ctrs'],
+    'circle': ['cir', 'circ', 'circl', 'crcl', 'crcle'],
+    'circles': ['cirs'],
+    'cliff': ['clf'],
+    'cliffs': ['clfs'],
+    'club': ['clb'],
+    'common': ['cmn'],
+    'commons': ['cmns'],
+    'corner': ['cor'],
+    'corners': ['cors'],
+    'course': ['crse'],
+    'court': ['ct'],
+    'courts': ['cts'],
+    'cove': ['cv'],
+    'coves': ['cvs'],
+    'creek': ['crk'],
+    'crescent': ['cres', 'crsent', 'crsnt'],
+    'crest': ['crst'],
+    'crossing': ['xing', 'crssng'],
+    'crossroad': ['xrd'],
+    'crossroads': ['xrds'],
+    'curve': ['curv'],
+    'dale': ['dl'],
+    'dam': ['dm'],
+    'divide': ['dv', 'div', 'dvd'],
+    'drive': ['dr', 'driv', 'drv'],
+    'drives': ['drs'],
+    'estate': ['est'],
+    'estates': ['ests'],
+    'expressway': ['expy', 'exp', 'expr', 'express', 'expw'],
+    'extension': ['ext', 'extn', 'extnsn'],
+    'extensions': ['exts'],
+    'falls': ['fls'],
+    'ferry': ['fry', 'frry'],
+    'field': ['fld'],
+    'fields': ['flds'],
+    'flat': ['flt'],
+    'flats': ['flts'],
+    'ford': ['frd'],
+    'fords': ['frds'],
+    'forest': ['frst', 'forests'],
+    'forge': ['frg', 'forg'],
+    'forges': ['frgs'],
+    'fork': ['frk'],
+    'forks': ['frks'],
+    'fort': ['ft', 'frt'],
+    'freeway': ['fwy', 'freewy', 'frway', 'frwy'],
+    'garden': ['gdn', 'gardn', 'grden', 'grdn'],
+    'gardens': ['gdns', 'grdns'],
+    'gateway': ['gtwy', 'gatewy', 'gatway', 'gtway'],
+    'glen': ['gln'],
+    'glens': ['glns'],
+    'green': ['grn'],
+    'greens': ['grns'],
+    'grove': ['grv', 'grov'],
+    'groves': ['grvs'],
+    'harbor': ['hbr', 'harb', 'harbr', 'hrbor'],
+    'harbors': ['hbrs'],
+    'haven': ['hvn'],
+    'heights': ['hts', 'ht'],
+    'highway': ['hwy', 'highwy', 'hiway', 'hiwy', 'hway'],
+    'hill': ['hl'],
+    'hills': ['hls'],
+    'hollow': ['holw', 'hllw', 'hollows', 'holws'],
+    'inlet': ['inlt'],
+    'island': ['is', 'islnd'],
+    'islands': ['iss', 'islnds'],
+    'isle': ['isles'],
+    'junction': ['jct', 'jction', 'jctn', 'junctn', 'juncton'],
+    'junctions': ['jcts', 'jctns'],
+    'key': ['ky'],
+    'keys': ['kys'],
+    'knoll': ['knl', 'knol'],
+    'knolls': ['knls'],
+    'lake': ['lk'],
+    'lakes': ['lks'],
+    'landing': ['lndg', 'lndng'],
+    'lane': ['ln'],
+    'light': ['lgt'],
+    'lights': ['lgts'],
+    'loaf': ['lf'],
+    'lock': ['lck'],
+    'locks': ['lcks'],
+    'lodge': ['ldg', 'ldge', 'lodg'],
+    'loop': ['loops'],
+    'manor': ['mnr'],
+    'manors': ['mnrs'],
+    'meadow': ['mdw'],
+    'meadows': ['mdws', 'medows'],
+    'mill': ['ml'],
+    'mills': ['mls'],
+    'mission': ['msn', 'missn', 'mssn'],
+    'motorway': ['mtwy'],
+    'mount': ['mt', 'mnt'],
+    'mountain': ['mtn', 'mntain', 'mntn', 'mountin', 'mtin'],
+    'mountains': ['mtns', 'mntns'],
+    'neck': ['nck'],
+    'orchard': ['orch', 'orchrd'],
+    'oval': ['ovl'],
+    'overpass': ['opas'],
+    'parkway': ['pkwy', 'parkwy', 'pkway', 'pky'],
+    'parkways': ['pkwys'],
+    'passage': ['psge'],
+    'pike': ['pikes'],
+    'pine': ['pne'],
+    'pines': ['pnes'],
+    'place': ['pl'],
+    'plain': ['pln'],
+    'plains': ['plns'],
+    'plaza': ['plz', 'plza'],
+    'point': ['pt'],
+    'points': ['pts'],
+    'port': ['prt'],
+    'ports': ['prts'],
+    'prairie': ['pr', 'prr'],
+    'radial': ['radl', 'rad', 'radiel'],
+    'ranch': ['rnch', 'ranches', 'rnchs'],
+    'rapid': ['rpd'],
+    'rapids': ['rpds'],
+    'rest': ['rst'],
+    'ridge': ['rdg', 'rdge'],
+    'ridges': ['rdgs'],
+    'river': ['riv', 'rvr', 'rivr'],
+    'road': ['rd'],
+    'roads': ['rds'],
+    'route': ['rte'],
+    'shoal': ['shl'],
+    'shoals': ['shls'],
+    'shore': ['shr', 'shoar'],
+    'shores': ['shrs', 'shoars'],
+    'skyway': ['skwy'],
+    'spring': ['spg', 'spng', 'sprng'],
+    'springs': ['spgs', 'spngs', 'sprngs'],
+    'square': ['sq', 'sqr', 'sqre', 'squ'],
+    'squares': ['sqs', 'sqrs'],
+    'station': ['sta', 'statn', 'stn'],
+    'stravenue': ['stra', 'strav', 'straven', 'stravn', 'strvn', 'strvnue'],
+    'stream': ['strm', 'streme'],
+    'street': ['st', 'strt', 'str'],
+    'streets': ['sts'],
+    'summit': ['smt', 'sumit', 'sumitt'],
+    'terrace': ['ter', 'terr'],
+    'throughway': ['trwy'],
+    'trace': ['trce', 'traces'],
+    'track': ['trak', 'tracks', 'trk', 'trks'],
+    'trafficway': ['trfy'],
+    'trail': ['trl', 'trails', 'trls'],
+    'trailer': ['trlr', 'trlrs'],
+    'tunnel': ['tunl', 'tunel', 'tunls', 'tunnels', 'tunnl'],
+    'turnpike': ['tpke', 'trnpk', 'turnpk'],
+    'underpass': ['upas'],
+    'union': ['un'],
+    'unions': ['uns'],
+    'valley': ['vly', 'vally', 'vlly'],
+    'valleys': ['vlys'],
+    'viaduct': ['via', 'vdct', 'viadct'],
+    'view': ['vw'],
+    'views': ['vws'],
+    'village': ['vlg', 'vill', 'villag', 'villg', 'villiage'],
+    'villages': ['vlgs'],
+    'ville': ['vl'],
+    'vista': ['vis', 'vist', 'vst', 'vsta'],
+    'way': ['wy'],
+    'well': ['wl'],
+    'wells': ['wls'],
+    // Suffixes whose primary name is also the standard abbreviation
+    'fall': [],
+    'land': [],
+    'mall': [],
+    'mews': [],
+    'park': ['prk', 'parks'],
+    'pass': [],
+    'path': ['paths'],
+    'ramp': [],
+    'row': [],
+    'rue': [],
+    'run': [],
+    'spur': ['spurs'],
+    'walk': ['walks'],
+    'wall': [],
+    'ways': []
+};
+
+/**
+ * Abbreviations that read as a name prefix when they start a street name
+ * ("St Charles Ave", "Ft Worth", "Mt Vernon Rd")
+ */
+export const NAME_PREFIXES = {
+    'st': 'saint',
+    'ste': 'sainte',
+    'ft': 'fort',
+    'mt': 'mount'
+};
+
+/**
+ * Secondary unit designators (Pub 28 C2): designator → {abbreviation, requiresNumber}.
+ * Designators that require a number are only recognised when one follows.
+ */
+export const SECONDARY_UNITS = {
+    'apartment': { abbreviation: 'apt', requiresNumber: true },
+    'basement': { abbreviation: 'bsmt', requiresNumber: false },
+    'building': { abbreviation: 'bldg', requiresNumber: true },
+    'department': { abbreviation: 'dept', requiresNumber: true },
+    'floor': { abbreviation: 'fl', requiresNumber: true },
+    'front': { abbreviation: 'frnt', requiresNumber: false },
+    'hangar': { abbreviation: 'hngr', requiresNumber: true },
+    'lobby': { abbreviation: 'lbby', requiresNumber: false },
+    'lot': { abbreviation: 'lot', requiresNumber: true },
+    'lower': { abbreviation: 'lowr', requiresNumber: false },
+    'office': { abbreviation: 'ofc', requiresNumber: false },
+    'penthouse': { abbreviation: 'ph', requiresNumber: false },
+    'pier': { abbreviation: 'pier', requiresNumber: true },
+    'rear': { abbreviation: 'rear', requiresNumber: false },
+    'room': { abbreviation: 'rm', requiresNumber: true },
+    'side': { abbreviation: 'side', requiresNumber: false },
+    'slip': { abbreviation: 'slip', requiresNumber: true },
+    'space': { abbreviation: 'spc', requiresNumber: true },
+    'stop': { abbreviation: 'stop', requiresNumber: true },
+    'suite': { abbreviation: 'ste', requiresNumber: true },
+    'trailer': { abbreviation: 'trlr', requiresNumber: true },
+    'unit': { abbreviation: 'unit', requiresNumber: true },
+    'upper': { abbreviation: 'uppr', requiresNumber: false },
+    // Not a Pub 28 designator, but how most people write a unit
+    '#': { abbreviation: '#', requiresNumber: true }
+};
+
+// US states, the District of Columbia and territories (Pub 28 Appendix B)
+export const US_STATES = {
+    'al': 'alabama', 'ak': 'alaska', 'az': 'arizona', 'ar': 'arkansas', 'ca': 'california',
+    'co': 'colorado', 'ct': 'connecticut', 'de': 'delaware', 'dc': 'district of columbia',
+    'fl': 'florida', 'ga': 'georgia', 'hi': 'hawaii', 'id': 'idaho', 'il': 'illinois',
+    'in': 'indiana', 'ia': 'iowa', 'ks': 'kansas', 'ky': 'kentucky', 'la': 'louisiana',
+    'me': 'maine', 'md': 'maryland', 'ma': 'massachusetts', 'mi': 'michigan', 'mn': 'minnesota',
+    'ms': 'mississippi', 'mo': 'missouri', 'mt': 'montana', 'ne': 'nebraska', 'nv': 'nevada',
+    'nh': 'new hampshire', 'nj': 'new jersey', 'nm': 'new mexico', 'ny': 'new york',
+    'nc': 'north carolina', 'nd': 'north dakota', 'oh': 'ohio', 'ok': 'oklahoma', 'or': 'oregon',
+    'pa': 'pennsylvania', 'ri': 'rhode island', 'sc': 'south carolina', 'sd': 'south dakota',
+    'tn': 'tennessee', 'tx': 'texas', 'ut': 'utah', 'vt': 'vermont', 'va': 'virginia',
+    'wa': 'washington', 'wv': 'west virginia', 'wi': 'wisconsin', 'wy': 'wyoming',
+    'as': 'american samoa', 'gu': 'guam', 'mp': 'northern mariana islands',
+    'pr': 'puerto rico', 'vi': 'virgin islands'
+};
+
+// Directionals (Pub 28 Appendix B)
+export const DIRECTIONALS = {
+    'n': 'north',
+    's': 'south',
+    'e': 'east',
+    'w': 'west',
+    'ne': 'northeast',
+    'nw': 'northwest',
+    'se': 'southeast',
+    'sw': 'southwest'
+};
+
+/**
+ * Street abbreviations for languages other than English (see address-formats.js),
+ * expanded wherever they appear
+ */
+export const LOCALE_ABBREVIATIONS = {
+    de: {
+        'str': 'straße',
+        'pl': 'platz',
+        'ch': 'chaussee'
+    },
+    fr: {
+        'av': 'avenue',
+        'bd': 'boulevard',
+        'bld': 'boulevard',
+        'ch': 'chemin',
+        'fg': 'faubourg',
+        'imp': 'impasse',
+        'pl': 'place',
+        'rte': 'route',
+        'st': 'saint',
+        'ste': 'sainte'
+    },
+    es: {
+        'av': 'avenida',
+        'avda': 'avenida',
+        'c': 'calle',
+        'cl': 'calle',
+        'ctra': 'carretera',
+        'pza': 'plaza',
+        'pso': 'paseo'
+    },
+    it: {
+        'v': 'via',
+        'vle': 'viale',
+        'cso': 'corso',
+        'pza': 'piazza',
+        'lgo': 'largo'
+    },
+    nl: {
+        'str': 'straat',
+        'pln': 'plein'
+    },
+    pt: {
+        'r': 'rua',
+        'av': 'avenida',
+        'pc': 'praça',
+        'tv': 'travessa'
+    }
+};
+
+// Street types written joined onto the name ("Hauptstr" for "Hauptstraße"), by language
+export const COMPOUND_SUFFIXES = {
+    de: { 'str': 'straße' },
+    nl: { 'str': 'straat' }
+};
@@ -0,0 +1,202 @@
+/**
+ * Nominatim Geocoding Provider
+ * Default adapter for the OpenStreetMap Nominatim API
+ *
+ * ⚠️ WARNING TO FUTURE DEVELOPERS:
+ * The Nominatim API (OpenStreetMap) is a free but sub-optimal geocoding solution.
+ * This code contains extensive workarounds, query manipulations, and filtering logic
+ * to compensate for Nominatim's limitations in address search quality.
+ *
+ * RECOMMENDATION: Switch to a higher-quality provider (see CONFIG.geocoding in
+ * config.js, or add an adapter for one such as Google Places API).
+ * Benefits of using Google Places or similar premium APIs:
+ * - Better address parsing and understanding of user intent
+ * - More accurate results with less query manipulation needed
+ * - Built-in address validation and standardization
+ * - Superior autocomplete with proper ranking
+ * - Less code maintenance (can remove most workarounds below)
+ *
+ * Other adapters don't need:
+ * - The abbreviation expansion logic (buildSmartQuery function)
+ * - The wildcard additions for short words
+ * - The extensive result filtering logic
+ */
+
+import { fetchJSON } from '../http.js';
+import { getRequestQueue } from '../request-queue.js';
+import { createPlace } from './place.js';
+import { normalizeAddressQuery } from './address-normalizer.js';
+import { isStructuredAddress } from './address-parser.js';
+
+const DEFAULT_BASE_URL = 'https://nominatim.openstreetmap.org';
+
+// Nominatim usage policy: at most one request per second
+const DEFAULT_REQUESTS_PER_SECOND = 1;
+
+/**
+ * Smart query builder that expands abbreviations and adds wildcards
+ *
+ * WORKAROUND FUNCTION: This entire function exists to compensate for Nominatim's poor
+ * query understanding. Google Places API would handle all of this automatically.
+ * Nominatim doesn't handle common address abbreviations (St, Ave, Apt, CA...) well,
+ * so the normalisation engine in address-normalizer.js expands them, drops unit
+ * numbers Nominatim doesn't index, and wildcards the word still being typed.
+ *
+ * @param {string} input - Raw user input
+ * @param {Array<string>|null} countries - Countries searched, which pick the abbreviation
+ *   languages (null searches worldwide with English abbreviations)
+ * @returns {string} Optimized search query
+ */
+export function buildSmartQuery(input, countries = null) {
+    return normalizeAddressQuery(input, { countries });
+}
+
+/**
+ * Convert a Nominatim result to a normalised place
+ * @param {Object} result - Raw Nominatim result (with addressdetails=1)
+ * @returns {Object} Normalised place
+ */
+function toPlace(result) {
+    const addr = result.address || {};
+    return createPlace({
+        id: `nominatim:${result.osm_type}/${result.osm_id}`,
+        provider: 'nominatim',
+        latitude: parseFloat(result.lat),
+        longitude: parseFloat(result.lon),
+        display_name: result.display_name,
+        name: result.name,
+        type: result.type,
+        importance: parseFloat(result.importance),
+        address: {
+            house_number: addr.house_number,
+            road: addr.road,
+            city: addr.city || addr.town || addr.village || addr.hamlet,
+            state: addr.state,
+            postcode: addr.postcode,
+            country: addr.country,
+            country_code: addr.country_code
+        }
+    });
+}
+
+/**
+ * Create a Nominatim provider
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL (defaults to the public OpenStreetMap instance)
+ * @param {number} options.requestsPerSecond - Request rate limit (defaults to the usage policy's 1/s)
+ * @returns {Object} Geocoding provider
+ */
+export function createNominatimProvider({ baseUrl = null, requestsPerSecond = null } = {}) {
+    const apiUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+    const queue = getRequestQueue('nominatim', { requestsPerSecond: requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND });
+
+    /**
+     * Run a Nominatim search and keep the results that are addresses
+     * @param {string} params - Query parameters: free-form q= or structured street=, city=, ...
+     * @param {Object} options - Search options
+     * @param {Object} options.userLocation - Location to bias results toward {latitude, longitude}
+     * @param {Array<string>|null} options.countries - Country codes to search, or null for worldwide
+     * @param {AbortSignal} options.signal - AbortController signal for cancellation
+     * @param {string} options.group - Request queue group (see request-queue.js)
+     * @returns {Promise<Array<Object>>} Normalised places
+     */
+    async function fetchPlaces(params, { userLocation, countries, signal, group }) {
+        // WORKAROUND: Request 50 results because Nominatim returns many irrelevant results
+        // that we need to filter out. Google Places returns better-ranked results, so fewer are needed.
+        let url = `${apiUrl}/search?format=json&${params}&limit=50&addressdetails=1`;
+        if (countries) {
+            url += `&countrycodes=${countries.join(',')}`;
+        }
+
+        // WORKAROUND: Manually create a viewbox to bias results toward user's location.
+        // Nominatim's location biasing is weak, so we create a geographic bounding box.
+        // Google Places has superior location biasing that works more intelligently.
+        if (userLocation) {
+            const buffer = 10;
+            const viewbox = `${userLocation.longitude - buffer},${userLocation.latitude + buffer},${userLocation.longitude + buffer},${userLocation.latitude - buffer}`;
+            url += `&viewbox=${viewbox}&bounded=0`;
+        }
+
+        const data = await fetchJSON(url, { service: 'Nominatim', signal, queue, group });
+
+        // WORKAROUND: Manually filter out non-address results (cities, states, regions, etc.)
+        // Nominatim returns many irrelevant location types that aren't postal addresses.
+        // Google Places has a 'types' parameter that filters to addresses automatically,
+        // eliminating the need for this manual filtering logic.
+        const validResults = data.filter(place => {
+            const addr = place.address;
+            if (!addr) return false;
+
+            // Exclude administrative regions that aren't specific addresses
+            const excludeTypes = ['administrative', 'state', 'country', 'city', 'county', 'region'];
+            if (excludeTypes.includes(place.type)) return false;
+
+            // Only include results with a road name or specific building/place
+            const hasRoad = addr.road;
+            const hasSpecificPlace = addr.building || addr.amenity || addr.shop || addr.office || addr.house_number;
+
+            return hasRoad || hasSpecificPlace;
+        });
+
+        // Results are re-ranked by text match and proximity in searchAddresses
+        // (see ranking.js), since Nominatim's own ranking ignores the user's location
+        return validResults.map(toPlace);
+    }
+
+    return {
+        name: 'nominatim',
+        attribution: 'Geocoding © OpenStreetMap contributors (ODbL) via Nominatim, https://www.openstreetmap.org/copyright',
+
+        normalizeQuery: buildSmartQuery,
+        structuredSearch: true,
+
+        /**
+         * Search for addresses
+         *
+         * WORKAROUND FUNCTION: Contains extensive filtering logic to compensate
+         * for Nominatim's poor result quality.
+         *
+         * @param {string} query - Search query
+         * @param {Object} options - Search options
+         * @param {Object} options.userLocation - Location to bias results toward {latitude, longitude}
+         * @param {Array<string>|null} options.countries - Country codes to search, or null for worldwide
+         * @param {Object} options.address - Parsed address components (see address-parser.js)
+         * @param {AbortSignal} options.signal - AbortController signal for cancellation
+         * @param {string} options.group - Request queue group whose older waiting searches this replaces
+         * @returns {Promise<Array<Object>>} Normalised places
+         */
+        async search(query, { userLocation = null, countries = null, address = null, signal = null, group = null } = {}) {
+            // Structured parameters put each component in the right field, so complete
+            // addresses match far more reliably than as free text. Incomplete addresses,
+            // or complete ones with no match, fall back to a free-form search.
+            if (address && isStructuredAddress(address)) {
+                let params = `street=${encodeURIComponent(`${address.house_number} ${address.street}`)}`;
+                if (address.city) params += `&city=${encodeURIComponent(address.city)}`;
+                if (address.state) params += `&state=${encodeURIComponent(address.state)}`;
+                if (address.postcode) params += `&postalcode=${encodeURIComponent(address.postcode)}`;
+
+                const places = await fetchPlaces(params, { userLocation, countries, signal, group });
+                if (places.length > 0) return places;
+            }
+
+            // WORKAROUND: Use our custom query builder to manipulate the search string.
+            // Google Places accepts raw user input without preprocessing.
+            const searchQuery = buildSmartQuery(query, countries);
+            return fetchPlaces(`q=${encodeURIComponent(searchQuery)}`, { userLocation, countries, signal, group });
+        },
+
+        /**
+         * Find the address nearest to a coordinate
+         * @param {number} latitude - Latitude
+         * @param {number} longitude - Longitude
+         * @param {Object} options - Lookup options
+         * @param {AbortSignal} options.signal - AbortController signal for cancellation
+         * @returns {Promise<Object|null>} Normalised place, or null if nothing is nearby
+         */
+        async reverse(latitude, longitude, { signal = null } = {}) {
+            const url = `${apiUrl}/reverse?format=json&lat=${latitude}&lon=${longitude}&addressdetails=1`;
+            const data = await fetchJSON(url, { service: 'Nominatim', signal, queue });
+            return data && !data.error ? toPlace(data) : null;
+        }
+    };
+}
@@ -0,0 +1,103 @@
+/**
+ * Pelias Geocoding Provider
+ * Adapter for Pelias (https://pelias.io), either self-hosted or a hosted
+ * service such as geocode.earth (which needs an API key)
+ */
+
+import { fetchJSON } from '../http.js';
+import { getRequestQueue } from '../request-queue.js';
+import { createPlace, normalizeQueryText } from './place.js';
+
+const DEFAULT_BASE_URL = 'https://api.geocode.earth';
+
+// Limits depend on the hosted plan or self-hosted instance; set CONFIG.geocoding.requestsPerSecond to match
+const DEFAULT_REQUESTS_PER_SECOND = 5;
+
+/**
+ * Convert a Pelias GeoJSON feature to a normalised place
+ * @param {Object} feature - Pelias feature
+ * @returns {Object} Normalised place
+ */
+function toPlace(feature) {
+    const props = feature.properties;
+    const [longitude, latitude] = feature.geometry.coordinates;
+
+    return createPlace({
+        id: `pelias:${props.gid}`,
+        provider: 'pelias',
+        latitude,
+        longitude,
+        display_name: props.label,
+        name: props.layer === 'venue' ? props.name : null,
+        type: props.layer,
+        importance: props.confidence,
+        address: {
+            house_number: props.housenumber,
+            road: props.street || (props.layer === 'street' ? props.name : null),
+            city: props.locality || props.localadmin,
+            state: props.region,
+            postcode: props.postalcode,
+            country: props.country,
+            country_code: props.country_code
+        }
+    });
+}
+
+/**
+ * Create a Pelias provider
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL (defaults to geocode.earth)
+ * @param {string} options.apiKey - API key, if the service requires one
+ * @param {number} options.requestsPerSecond - Request rate limit
+ * @returns {Object} Geocoding provider
+ */
+export function createPeliasProvider({ baseUrl = null, apiKey = null, requestsPerSecond = null } = {}) {
+    const apiUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+    const queue = getRequestQueue('pelias', { requestsPerSecond: requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND });
+    const keyParam = apiKey ? `&api_key=${encodeURIComponent(apiKey)}` : '';
+
+    return {
+        name: 'pelias',
+        attribution: 'Geocoding by Pelias using OpenStreetMap (ODbL), OpenAddresses and other open data, https://pelias.io/',
+
+        normalizeQuery: normalizeQueryText,
+
+        /**
+         * Search for addresses, streets and venues, nearest to the user first when a location is given
+         * @param {string} query - Search query
+         * @param {Object} options - Search options
+         * @param {Object} options.userLocation - Location to bias results toward {latitude, longitude}
+         * @param {Array<string>|null} options.countries - Country codes to search, or null for worldwide
+         * @param {AbortSignal} options.signal - AbortController signal for cancellation
+         * @param {string} options.group - Request queue group whose older waiting searches this replaces
+         * @returns {Promise<Array<Object>>} Normalised places
+         */
+        async search(query, { userLocation = null, countries = null, signal = null, group = null } = {}) {
+            let url = `${apiUrl}/v1/search?text=${encodeURIComponent(normalizeQueryText(query))}&size=20&layers=address,street,venue${keyParam}`;
+            if (countries) {
+                url += `&boundary.country=${countries.map(code => code.toUpperCase()).join(',')}`;
+            }
+            if (userLocation) {
+                url += `&focus.point.lat=${userLocation.latitude}&focus.point.lon=${userLocation.longitude}`;
+            }
+
+            const data = await fetchJSON(url, { service: 'Pelias', signal, queue, group });
+            return (data.features || []).map(toPlace);
+        },
+
+        /**
+         * Find the address nearest to a coordinate
+         * @param {number} latitude - Latitude
+         * @param {number} longitude - Longitude
+         * @param {Object} options - Lookup options
+         * @param {AbortSignal} options.signal - AbortController signal for cancellation
+         * @returns {Promise<Object|null>} Normalised place, or null if nothing is nearby
+         */
+        async reverse(latitude, longitude, { signal = null } = {}) {
+            const url = `${apiUrl}/v1/reverse?point.lat=${latitude}&point.lon=${longitude}&size=1${keyParam}`;
+            const data = await fetchJSON(url, { service: 'Pelias', signal, queue });
+            const [feature] = data.features || [];
+            return feature ? toPlace(feature) : null;
+        }
+    };
+}
@@ -0,0 +1,116 @@
+/**
+ * Photon Geocoding Provider
+ * Adapter for Photon (https://photon.komoot.io), an OpenStreetMap geocoder
+ * built for search-as-you-type, with native location bias and typo tolerance
+ */
+
+import { fetchJSON } from '../http.js';
+import { getRequestQueue } from '../request-queue.js';
+import { createPlace, normalizeQueryText } from './place.js';
+
+const DEFAULT_BASE_URL = 'https://photon.komoot.io';
+
+// The public instance asks for fair use rather than a fixed limit; set CONFIG.geocoding.requestsPerSecond
+// for a self-hosted one
+const DEFAULT_REQUESTS_PER_SECOND = 2;
+
+// Photon result types that are areas rather than addresses
+const EXCLUDED_TYPES = ['country', 'state', 'county', 'city', 'district', 'locality'];
+
+/**
+ * Convert a Photon GeoJSON feature to a normalised place
+ * @param {Object} feature - Photon feature
+ * @returns {Object} Normalised place
+ */
+function toPlace(feature) {
+    const props = feature.properties;
+    const [longitude, latitude] = feature.geometry.coordinates;
+
+    const place = createPlace({
+        id: `photon:${props.osm_type}/${props.osm_id}`,
+        provider: 'photon',
+        latitude,
+        longitude,
+        name: props.name,
+        type: props.type === 'house' ? 'house' : props.osm_value,
+        address: {
+            house_number: props.housenumber,
+            road: props.street || (props.type === 'street' ? props.name : null),
+            city: props.city,
+            state: props.state,
+            postcode: props.postcode,
+            country: props.country,
+            country_code: props.countrycode
+        }
+    });
+
+    // Photon has no display name, so build one from the label in the country's
+    // address conventions, led by the name of a venue on a street
+    if (props.street && props.name) {
+        place.display_name = `${props.name}, ${place.label}`;
+    }
+    return place;
+}
+
+/**
+ * Create a Photon provider
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL (defaults to the public komoot instance)
+ * @param {number} options.requestsPerSecond - Request rate limit
+ * @returns {Object} Geocoding provider
+ */
+export function createPhotonProvider({ baseUrl = null, requestsPerSecond = null } = {}) {
+    const apiUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+    const queue = getRequestQueue('photon', { requestsPerSecond: requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND });
+
+    return {
+        name: 'photon',
+        attribution: 'Geocoding © OpenStreetMap contributors (ODbL) via Photon, https://photon.komoot.io/',
+
+        normalizeQuery: normalizeQueryText,
+
+        /**
+         * Search for addresses, nearest to the user first when a location is given
+         * @param {string} query - Search query
+         * @param {Object} options - Search options
+         * @param {Object} options.userLocation - Location to bias results toward {latitude, longitude}
+         * @param {Array<string>|null} options.countries - Country codes to search, or null for worldwide
+         * @param {AbortSignal} options.signal - AbortController signal for cancellation
+         * @param {string} options.group - Request queue group whose older waiting searches this replaces
+         * @returns {Promise<Array<Object>>} Normalised places
+         */
+        async search(query, { userLocation = null, countries = null, signal = null, group = null } = {}) {
+            let url = `${apiUrl}/api?q=${encodeURIComponent(normalizeQueryText(query))}&limit=20&lang=en`;
+            if (userLocation) {
+                url += `&lat=${userLocation.latitude}&lon=${userLocation.longitude}`;
+            }
+
+            const data = await fetchJSON(url, { service: 'Photon', signal, queue, group });
+
+            // Photon has no country filter, so keep the searched countries here
+            return (data.features || [])
+                .filter(feature => {
+                    const props = feature.properties;
+                    if (countries && !countries.includes(props.countrycode?.toLowerCase())) return false;
+                    if (EXCLUDED_TYPES.includes(props.type)) return false;
+                    return Boolean(props.street || props.housenumber || props.type === 'street' || props.name);
+                })
+                .map(toPlace);
+        },
+
+        /**
+         * Find the address nearest to a coordinate
+         * @param {number} latitude - Latitude
+         * @param {number} longitude - Longitude
+         * @param {Object} options - Lookup options
+         * @param {AbortSignal} options.signal - AbortController signal for cancellation
+         * @returns {Promise<Object|null>} Normalised place, or null if nothing is nearby
+         */
+        async reverse(latitude, longitude, { signal = null } = {}) {
+            const url = `${apiUrl}/reverse?lat=${latitude}&lon=${longitude}&lang=en`;
+            const data = await fetchJSON(url, { service: 'Photon', signal, queue });
+            const [feature] = data.features || [];
+            return feature ? toPlace(feature) : null;
+        }
+    };
+}
@@ -0,0 +1,100 @@
+/**
+ * Geocoding Provider Contract
+ * The normalised place shape every geocoding provider returns, and helpers to build it
+ *
+ * A provider is an object with:
+ * - name: Provider id, e.g. 'nominatim'
+ * - attribution: Data licence text to show alongside results
+ * - normalizeQuery(query, countries): Canonical query text, used for requests and cache keys
+ * - search(query, {userLocation, countries, address, signal, group}): Promise of places, best
+ *   match first, limited to `countries` (lower-case ISO 3166-1 alpha-2 codes) unless null.
+ *   `address` holds the query's parsed components (see address-parser.js), and `group`
+ *   is the request queue group whose older waiting searches this one replaces
+ * - structuredSearch: Optional; true if search() uses `address` for a structured
+ *   query when the address is complete
+ * - reverse(latitude, longitude, {signal}): Promise of the nearest place, or null
+ *
+ * Failed requests reject with the typed errors in services/errors.js, which
+ * services/http.js raises for HTTP failures. Providers send every request
+ * through their rate-limited queue (see services/request-queue.js).
+ *
+ * Components only ever see places, never a provider's raw response.
+ */
+
+import { getAddressFormat } from './address-formats.js';
+
+/**
+ * Build a short address label in the conventions of the place's country, e.g.
+ * "123 Main Street, Springfield, Illinois, 62701, United States" or
+ * "Hauptstraße 5, 10115 Berlin, Germany"
+ * @param {Object} place - Normalised place (name and address are used)
+ * @returns {string} Label, or an empty string when the address has no parts
+ */
+export function formatPlaceLabel(place) {
+    const addr = place.address || {};
+    const format = getAddressFormat(addr.country_code);
+    const street = (format.numberAfterStreet
+        ? [addr.road, addr.house_number]
+        : [addr.house_number, addr.road]
+    ).filter(Boolean).join(' ');
+
+    const parts = [];
+    // Named places without a street (parks, venues) lead with their name
+    if (!street && place.name) parts.push(place.name);
+    if (street) parts.push(street);
+    if (format.postcodeBeforeCity) {
+        const locality = [addr.postcode, addr.city].filter(Boolean).join(' ');
+        if (locality) parts.push(locality);
+        if (format.showState && addr.state) parts.push(addr.state);
+    } else {
+        if (addr.city) parts.push(addr.city);
+        if (format.showState && addr.state) parts.push(addr.state);
+        if (addr.postcode) parts.push(addr.postcode);
+    }
+    if (addr.country) parts.push(addr.country);
+
+    return parts.join(', ');
+}
+
+/**
+ * Build a normalised place, filling in missing fields
+ * @param {Object} fields - Place fields from a provider adapter
+ * @returns {Object} Place {id, provider, latitude, longitude, display_name, label, name, type, address, importance}
+ */
+export function createPlace(fields) {
+    const address = {
+        house_number: fields.address?.house_number || null,
+        road: fields.address?.road || null,
+        city: fields.address?.city || null,
+        state: fields.address?.state || null,
+        postcode: fields.address?.postcode || null,
+        country: fields.address?.country || null,
+        country_code: fields.address?.country_code?.toLowerCase() || null
+    };
+
+    const place = {
+        id: fields.id,
+        provider: fields.provider,
+        latitude: fields.latitude,
+        longitude: fields.longitude,
+        display_name: fields.display_name || '',
+        label: '',
+        name: fields.name || null,
+        type: fields.type || null,
+        address,
+        importance: Number.isFinite(fields.importance) ? fields.importance : null
+    };
+
+    place.label = formatPlaceLabel(place);
+    if (!place.display_name) place.display_name = place.label;
+    return place;
+}
+
+/**
+ * Default query normalisation: collapse whitespace and lowercase
+ * @param {string} query - Raw user input
+ * @returns {string} Normalised query
+ */
+export function normalizeQueryText(query) {
+    return query.replace(/\s+/g, ' ').trim().toLowerCase();
+}
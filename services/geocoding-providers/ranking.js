@@ -0,0 +1,215 @@
+/**
+ * Result Ranking
+ * Scores places against the query so an exact match farther away can outrank
+ * a nearby road with a similar name, and drops near-identical duplicates
+ *
+ * Each place's score combines, as a weighted average of the parts that apply:
+ * - text: how well the query's words match the place's address
+ * - house_number: whether the place has the house number asked for
+ * - importance: the provider's importance, or a prior for the place type
+ * - distance: closeness to the user, decaying with distance
+ * The breakdown is kept on the place as `ranking` for display and debugging.
+ */
+
+import { analyzeAddressQuery } from './address-normalizer.js';
+import { getDistance } from '../../utils/geo.js';
+
+const WEIGHTS = {
+    text: 0.45,
+    house_number: 0.2,
+    importance: 0.1,
+    distance: 0.25
+};
+
+// Distance score halves roughly every 35 km (1/e at 50 km)
+const DISTANCE_DECAY_KM = 50;
+
+// Results this close with the same label are the same address (e.g. a node and a building)
+const DUPLICATE_DISTANCE_KM = 0.025;
+
+// Token match quality
+const EXACT_MATCH = 1;
+const TYPING_PREFIX_MATCH = 0.9; // last query word, probably still being typed
+const PREFIX_MATCH = 0.6;
+const FUZZY_MATCH = 0.5; // one typo in a longer word
+
+// Used when the provider gives no importance
+const TYPE_PRIORS = {
+    house: 0.8,
+    building: 0.8,
+    address: 0.8,
+    coordinates: 0.8,
+    street: 0.6,
+    residential: 0.6,
+    primary: 0.6,
+    secondary: 0.6,
+    tertiary: 0.6
+};
+const DEFAULT_TYPE_PRIOR = 0.4;
+
+// Query parts matched separately (house number) or not indexed by geocoders (units)
+const UNMATCHED_ROLES = ['house_number', 'unit_designator', 'unit'];
+
+/**
+ * Split text into normalised words, expanding abbreviations the same way as queries
+ * @param {string} text - Address text
+ * @param {Array<string>|null} countries - Countries searched
+ * @returns {Array<string>} Words
+ */
+function toWords(text, countries) {
+    return analyzeAddressQuery(text, { countries }).flatMap(token => token.value.split(' '));
+}
+
+/**
+ * Check whether two words are at most one edit apart
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {boolean} True for one insertion, deletion or substitution (or none)
+ */
+function isOneEditApart(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            i++;
+            j++;
+            continue;
+        }
+        if (++edits > 1) return false;
+        if (a.length > b.length) i++;
+        else if (b.length > a.length) j++;
+        else {
+            i++;
+            j++;
+        }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Score how well the query's words appear in a place's address
+ * @param {Array<string>} queryWords - Normalised query words
+ * @param {Set<string>} placeWords - Normalised words of the place's address
+ * @returns {number} 0 to 1
+ */
+function scoreText(queryWords, placeWords) {
+    if (queryWords.length === 0) return 1;
+
+    const total = queryWords.reduce((sum, word, i) => {
+        if (placeWords.has(word)) return sum + EXACT_MATCH;
+
+        const candidates = [...placeWords];
+        if (candidates.some(candidate => candidate.startsWith(word))) {
+            return sum + (i === queryWords.length - 1 ? TYPING_PREFIX_MATCH : PREFIX_MATCH);
+        }
+        if (word.length >= 5 && candidates.some(candidate => isOneEditApart(word, candidate))) {
+            return sum + FUZZY_MATCH;
+        }
+        return sum;
+    }, 0);
+
+    return total / queryWords.length;
+}
+
+/**
+ * Score a place against the query
+ * @param {Object} place - Normalised place
+ * @param {Object} context - Ranking context
+ * @param {Array<string>} context.queryWords - Normalised query words, without house number and unit
+ * @param {string|null} context.houseNumber - House number from the parsed query
+ * @param {Object|null} context.userLocation - User's location {latitude, longitude}
+ * @param {Array<string>|null} context.countries - Countries searched
+ * @returns {Object} Ranking {score, text, house_number, importance, distance}; parts that
+ *   don't apply (no house number asked for, no user location) are null
+ */
+function scorePlace(place, { queryWords, houseNumber, userLocation, countries }) {
+    const placeWords = new Set(toWords(`${place.label} ${place.display_name}`, countries));
+
+    const parts = {
+        text: scoreText(queryWords, placeWords),
+        house_number: null,
+        importance: place.importance ?? TYPE_PRIORS[place.type] ?? DEFAULT_TYPE_PRIOR,
+        distance: null
+    };
+
+    if (houseNumber) {
+        const placeNumber = place.address.house_number?.toLowerCase();
+        if (placeNumber === houseNumber) parts.house_number = 1;
+        // The street itself is a fair answer when the number isn't mapped
+        else if (!placeNumber) parts.house_number = 0.3;
+        else parts.house_number = 0;
+    }
+
+    if (userLocation) {
+        const km = getDistance(userLocation.latitude, userLocation.longitude, place.latitude, place.longitude);
+        parts.distance = Math.exp(-km / DISTANCE_DECAY_KM);
+    }
+
+    let weighted = 0;
+    let weights = 0;
+    Object.entries(parts).forEach(([name, value]) => {
+        if (value === null) return;
+        weighted += WEIGHTS[name] * value;
+        weights += WEIGHTS[name];
+    });
+
+    const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+    return {
+        score: round(weighted / weights),
+        text: round(parts.text),
+        house_number: round(parts.house_number),
+        importance: round(parts.importance),
+        distance: round(parts.distance)
+    };
+}
+
+/**
+ * Normalise a label for duplicate detection
+ * @param {Object} place - Normalised place
+ * @returns {string} Lower-case label without punctuation
+ */
+function duplicateKey(place) {
+    return (place.label || place.display_name).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Score, sort and deduplicate places, best first
+ * @param {Array<Object>} places - Normalised places
+ * @param {Object} options - Ranking options
+ * @param {string} options.query - Search query as typed
+ * @param {Object} options.address - Parsed address components (see address-parser.js)
+ * @param {Object|null} options.userLocation - User's location {latitude, longitude}
+ * @param {Array<string>|null} options.countries - Countries searched
+ * @returns {Array<Object>} Places with a `ranking` breakdown, highest score first
+ */
+export function rankPlaces(places, { query, address, userLocation = null, countries = null }) {
+    const queryWords = analyzeAddressQuery(query, { countries })
+        .filter(token => !UNMATCHED_ROLES.includes(token.role))
+        .flatMap(token => token.value.split(' '));
+    const context = {
+        queryWords,
+        houseNumber: address?.house_number?.toLowerCase() || null,
+        userLocation,
+        countries
+    };
+
+    const ranked = places
+        .map(place => ({ ...place, ranking: scorePlace(place, context) }))
+        .sort((a, b) => b.ranking.score - a.ranking.score);
+
+    // Keep the best-scoring copy of each address
+    const kept = [];
+    ranked.forEach(place => {
+        const key = duplicateKey(place);
+        const isDuplicate = kept.some(other =>
+            duplicateKey(other) === key &&
+            getDistance(other.latitude, other.longitude, place.latitude, place.longitude) <= DUPLICATE_DISTANCE_KM
+        );
+        if (!isDuplicate) kept.push(place);
+    });
+
+    return kept;
+}
@@ -1,230 +1,309 @@
 /**
  * Geocoding Service
- * Handles IP geolocation and address autocomplete via Nominatim API
+ * Handles IP geolocation, and address search and reverse geocoding through a
+ * pluggable provider (Nominatim by default; see CONFIG.geocoding in config.js)
  *
- * ⚠️ WARNING TO FUTURE DEVELOPERS:
- * The Nominatim API (OpenStreetMap) is a free but sub-optimal geocoding solution.
- * This code contains extensive workarounds, query manipulations, and filtering logic
- * to compensate for Nominatim's limitations in address search quality.
- *
- * RECOMMENDATION: Replace with a higher-quality API like Google Places API.
- * Benefits of using Google Places or similar premium APIs:
- * - Better address parsing and understanding of user intent
- * - More accurate results with less query manipulation needed
- * - Built-in address validation and standardization
- * - Superior autocomplete with proper ranking
- * - Less code maintenance (can remove most workarounds below)
- *
- * If you switch to Google Places, you can eliminate:
- * - The abbreviation expansion logic (buildSmartQuery function)
- * - The wildcard additions for short words
- * - The extensive result filtering logic
- * - The manual distance-based sorting
+ * Results are always normalised places (see geocoding-providers/place.js), so
+ * callers don't depend on any one provider's response format.
  */
 
-// WORKAROUND: Nominatim doesn't handle common address abbreviations well.
-// We manually expand them to improve search results.
-// NOTE: Google Places API handles abbreviations natively - this mapping would be unnecessary.
-// Address abbreviation mappings for better Nominatim queries
-const directionAbbreviations = {
-    'n': 'north',
-    's': 'south',
-    'e': 'east',
-    'w': 'west',
-    'ne': 'northeast',
-    'nw': 'northwest',
-    'se': 'southeast',
-    'sw': 'southwest'
-};
+import { CONFIG } from '../config.js';
+import { readCache, writeCache } from './cache.js';
+import { fetchJSON } from './http.js';
+import { RateLimitError, NoDataError, ProviderError } from './errors.js';
+import { createNominatimProvider } from './geocoding-providers/nominatim.js';
+import { createPhotonProvider } from './geocoding-providers/photon.js';
+import { createPeliasProvider } from './geocoding-providers/pelias.js';
+import { createPlace } from './geocoding-providers/place.js';
+import { parseAddress, isStructuredAddress } from './geocoding-providers/address-parser.js';
+import { rankPlaces } from './geocoding-providers/ranking.js';
+import { getDistance, formatCoordinates } from '../utils/geo.js';
 
-const streetTypeAbbreviations = {
-    'st': 'street',
-    'ave': 'avenue',
-    'av': 'avenue',
-    'blvd': 'boulevard',
-    'dr': 'drive',
-    'rd': 'road',
-    'ln': 'lane',
-    'ct': 'court',
-    'cir': 'circle',
-    'pl': 'place',
-    'pkwy': 'parkway',
-    'hwy': 'highway',
-    'sq': 'square',
-    'ter': 'terrace',
-    'trl': 'trail',
-    'way': 'way'
+const PROVIDER_FACTORIES = {
+    nominatim: createNominatimProvider,
+    photon: createPhotonProvider,
+    pelias: createPeliasProvider
 };
 
+// Geocoding results change slowly; cached searches are reused for a week
+const SEARCH_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// User locations are rounded in cache keys so nearby sessions share entries
+const CACHE_LOCATION_DECIMALS = 1;
+
+// Reverse lookups within ~10 m share a cache entry
+const REVERSE_CACHE_DECIMALS = 4;
+
+const SCOPE_STORAGE_KEY = 'searchScope';
+
+let activeProvider = createGeocodingProvider(CONFIG.geocoding);
+let searchScope = loadSearchScope();
+
 /**
  * Get user's approximate location via IP geolocation
  * @returns {Promise<Object>} Location data with lat, lng, city, region, etc.
+ * @throws {RateLimitError|NoDataError|ProviderError} If ipapi.co can't locate the user,
+ *   or another typed error from fetchJSON
  */
 export async function getUserLocation() {
-    const response = await fetch('https://ipapi.co/json/');
-    const data = await response.json();
-    
+    const data = await fetchJSON('https://ipapi.co/json/', { service: 'ipapi.co' });
+
+    // ipapi.co reports failures as {error: true, reason}, sometimes with HTTP 200
+    if (data.error) {
+        const ErrorType = /rate ?limit/i.test(data.reason || '') ? RateLimitError : ProviderError;
+        throw new ErrorType(data.reason || 'ipapi.co lookup failed', { service: 'ipapi.co' });
+    }
+    if (typeof data.latitude !== 'number' || typeof data.longitude !== 'number') {
+        throw new NoDataError('ipapi.co could not locate your IP address', { service: 'ipapi.co' });
+    }
+
     return {
         latitude: data.latitude,
         longitude: data.longitude,
         city: data.city,
         region: data.region,
         country: data.country_name,
+        country_code: data.country_code ? data.country_code.toLowerCase() : null,
         postal: data.postal,
-        timezone: data.timezone
+        timezone: data.timezone,
+        source: 'ip'
     };
 }
 
 /**
- * Smart query builder that expands abbreviations and adds wildcards
- *
- * WORKAROUND FUNCTION: This entire function exists to compensate for Nominatim's poor
- * query understanding. Google Places API would handle all of this automatically.
- *
- * @param {string} input - Raw user input
- * @returns {string} Optimized search query
+ * Create a geocoding provider from configuration
+ * @param {Object} config - Provider config {provider, baseUrl, apiKey}
+ * @returns {Object} Geocoding provider
+ * @throws {Error} If the provider name is unknown
  */
-export function buildSmartQuery(input) {
-    // WORKAROUND: Normalize punctuation and whitespace because Nominatim is sensitive to formatting.
-    // Google Places handles messy input gracefully without this preprocessing.
-    const normalized = input
-        .replace(/,/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim()
-        .toLowerCase();
-
-    const words = normalized.split(/\s+/);
-    const expandedWords = [];
-
-    words.forEach((word) => {
-        if (!word) return;
-
-        const cleanWord = word.replace(/[^\w]/g, '');
-        if (!cleanWord) return;
-
-        // Keep numbers as-is (house numbers, zip codes)
-        if (/^\d+$/.test(cleanWord)) {
-            expandedWords.push(cleanWord);
-            return;
-        }
-
-        // WORKAROUND: Manually expand direction abbreviations (N, S, E, W, etc.)
-        // Google Places understands these abbreviations natively.
-        if (directionAbbreviations[cleanWord]) {
-            expandedWords.push(directionAbbreviations[cleanWord]);
-            return;
-        }
-
-        // WORKAROUND: Manually expand street type abbreviations (St, Ave, Blvd, etc.)
-        // Google Places understands these abbreviations natively.
-        if (streetTypeAbbreviations[cleanWord]) {
-            expandedWords.push(streetTypeAbbreviations[cleanWord]);
-            return;
-        }
-
-        // WORKAROUND: Add wildcards to short words to improve partial matching.
-        // This helps Nominatim find results as users type, but can return irrelevant results.
-        // Google Places has superior autocomplete that doesn't require wildcard hacks.
-        if (/^[a-zA-Z]{2,4}$/.test(cleanWord)) {
-            expandedWords.push(cleanWord + '*');
-            return;
-        }
-
-        expandedWords.push(cleanWord);
-    });
+export function createGeocodingProvider({ provider = 'nominatim', ...options } = {}) {
+    const factory = PROVIDER_FACTORIES[provider];
+    if (!factory) {
+        throw new Error(`Unknown geocoding provider "${provider}"`);
+    }
+    return factory(options);
+}
+
+/**
+ * Switch the provider used by searchAddresses and reverseGeocode
+ * @param {Object} config - Provider config {provider, baseUrl, apiKey}
+ */
+export function setGeocodingProvider(config) {
+    activeProvider = createGeocodingProvider(config);
+}
+
+/**
+ * Get the provider currently in use
+ * @returns {Object} Geocoding provider
+ */
+export function getGeocodingProvider() {
+    return activeProvider;
+}
+
+/**
+ * Get the attribution text for the provider a place came from
+ * @param {string} providerName - Provider name from a place (defaults to Nominatim for older saved places)
+ * @returns {string} Attribution text
+ */
+export function getGeocodingAttribution(providerName) {
+    if (providerName === activeProvider.name) return activeProvider.attribution;
+    return createGeocodingProvider({ provider: PROVIDER_FACTORIES[providerName] ? providerName : 'nominatim' }).attribution;
+}
 
-    return expandedWords.join(' ');
+/**
+ * Validate a search scope
+ * @param {*} scope - 'auto', 'worldwide' or a list of ISO 3166-1 alpha-2 codes
+ * @returns {string|Array<string>} The scope, with codes lower-cased and deduplicated,
+ *   or 'auto' if it isn't valid
+ */
+export function normalizeSearchScope(scope) {
+    if (scope === 'auto' || scope === 'worldwide') return scope;
+    if (Array.isArray(scope)) {
+        const codes = [...new Set(scope.map(code => String(code).trim().toLowerCase()))]
+            .filter(code => /^[a-z]{2}$/.test(code));
+        if (codes.length > 0) return codes;
+    }
+    return 'auto';
 }
 
 /**
- * Calculate distance between two coordinates using Haversine formula
- * @param {number} lat1 - First latitude
- * @param {number} lon1 - First longitude
- * @param {number} lat2 - Second latitude
- * @param {number} lon2 - Second longitude
- * @returns {number} Distance in kilometers
+ * Load the saved search scope, falling back to the configured default
+ * @returns {string|Array<string>} Search scope
  */
-export function getDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in km
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+function loadSearchScope() {
+    try {
+        const saved = localStorage.getItem(SCOPE_STORAGE_KEY);
+        return normalizeSearchScope(saved ? JSON.parse(saved) : CONFIG.geocoding.countries);
+    } catch (err) {
+        return normalizeSearchScope(CONFIG.geocoding.countries);
+    }
 }
 
 /**
- * Search for addresses using Nominatim API
+ * Set and save the countries searchAddresses looks in
+ * @param {string|Array<string>} scope - 'auto' (the user's IP-detected country),
+ *   'worldwide', or a list of ISO 3166-1 alpha-2 codes
+ */
+export function setSearchScope(scope) {
+    searchScope = normalizeSearchScope(scope);
+    try {
+        localStorage.setItem(SCOPE_STORAGE_KEY, JSON.stringify(searchScope));
+    } catch (err) {
+        console.warn('Could not save search scope:', err);
+    }
+}
+
+/**
+ * Get the current search scope
+ * @returns {string|Array<string>} 'auto', 'worldwide' or a list of country codes
+ */
+export function getSearchScope() {
+    return searchScope;
+}
+
+/**
+ * Resolve a search scope to the countries to search
+ * @param {string|Array<string>} scope - Search scope
+ * @param {Object} userLocation - User's location from getUserLocation (its country_code is used for 'auto')
+ * @returns {Array<string>|null} Country codes, or null for worldwide (including 'auto' before the country is known)
+ */
+export function resolveSearchCountries(scope, userLocation) {
+    if (Array.isArray(scope)) return scope;
+    if (scope === 'auto' && userLocation?.country_code) return [userLocation.country_code];
+    return null;
+}
+
+/**
+ * Work out how a query will be searched: the countries, its parsed address
+ * components, and whether the active provider will search by those components
+ * @param {string} query - Search query
+ * @param {Object} userLocation - User's location from getUserLocation
+ * @returns {Object} Search plan {provider, countries, address, structured}
+ */
+export function parseSearchQuery(query, userLocation = null) {
+    const countries = resolveSearchCountries(searchScope, userLocation);
+    const address = parseAddress(query, { countries });
+    return {
+        provider: activeProvider.name,
+        countries,
+        address,
+        structured: Boolean(activeProvider.structuredSearch) && isStructuredAddress(address)
+    };
+}
+
+/**
+ * Search for addresses with the active provider, in the countries of the current search scope
  *
- * WORKAROUND FUNCTION: Contains extensive filtering and sorting logic to compensate
- * for Nominatim's poor result quality and ranking.
+ * Results are cached by provider, countries, normalised query and rounded user
+ * location. Each place's `distance` (km) from the user is added when a location is
+ * known, then places are ranked by how well they match the query and how close they
+ * are, with near-identical duplicates removed (see geocoding-providers/ranking.js).
+ * Requests wait their turn in the provider's rate-limited queue (see request-queue.js).
  *
  * @param {string} query - Search query
  * @param {Object} userLocation - User's location {latitude, longitude}
  * @param {AbortSignal} signal - AbortController signal for cancellation
- * @returns {Promise<Array>} Array of address results
+ * @param {string} group - Request queue group whose older waiting searches this one replaces,
+ *   e.g. 'autocomplete' so only the latest keystroke is sent (see request-queue.js)
+ * @returns {Promise<Array>} Normalised places with a `ranking` score breakdown, best match first
  */
-export async function searchAddresses(query, userLocation = null, signal = null) {
-    // WORKAROUND: Use our custom query builder to manipulate the search string.
-    // Google Places accepts raw user input without preprocessing.
-    const searchQuery = buildSmartQuery(query);
-
-    // WORKAROUND: Request 50 results because Nominatim returns many irrelevant results
-    // that we need to filter out. Google Places returns better-ranked results, so fewer are needed.
-    // WORKAROUND: Hardcode countrycodes=us to limit to US addresses since Nominatim
-    // doesn't have a good way to filter by address type. Google Places has better
-    // region/type filtering built-in.
-    let url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(searchQuery)}&limit=50&addressdetails=1&countrycodes=us`;
-
-    // WORKAROUND: Manually create a viewbox to bias results toward user's location.
-    // Nominatim's location biasing is weak, so we create a geographic bounding box.
-    // Google Places has superior location biasing that works more intelligently.
-    if (userLocation && userLocation.latitude && userLocation.longitude) {
-        const buffer = 10;
-        const viewbox = `${userLocation.longitude - buffer},${userLocation.latitude + buffer},${userLocation.longitude + buffer},${userLocation.latitude - buffer}`;
-        url += `&viewbox=${viewbox}&bounded=0`;
+export async function searchAddresses(query, userLocation = null, signal = null, group = null) {
+    const provider = activeProvider;
+    const hasUserLocation = Boolean(userLocation && userLocation.latitude && userLocation.longitude);
+
+    // Providers bias toward the rounded location so cached results stay valid for it
+    const biasLocation = hasUserLocation ? {
+        latitude: parseFloat(userLocation.latitude.toFixed(CACHE_LOCATION_DECIMALS)),
+        longitude: parseFloat(userLocation.longitude.toFixed(CACHE_LOCATION_DECIMALS))
+    } : null;
+    const { countries, address } = parseSearchQuery(query, userLocation);
+    const cacheKey = `${provider.name}|${countries ? countries.join(',') : '*'}|${provider.normalizeQuery(query, countries)}|${biasLocation ? `${biasLocation.latitude},${biasLocation.longitude}` : ''}`;
+
+    let places = await readCache('geocoding', cacheKey);
+    signal?.throwIfAborted();
+    if (!places) {
+        places = await provider.search(query, { userLocation: biasLocation, countries, address, signal, group });
+        writeCache('geocoding', cacheKey, places, SEARCH_CACHE_TTL_MS);
     }
 
-    const options = signal ? { signal } : {};
-    const response = await fetch(url, options);
-    const data = await response.json();
+    // Distances belong to this search, not the cached places (the cache write may not
+    // have happened yet, and later hits can come from elsewhere), so annotate copies
+    const located = hasUserLocation
+        ? places.map(place => ({
+            ...place,
+            distance: getDistance(userLocation.latitude, userLocation.longitude, place.latitude, place.longitude)
+        }))
+        : places;
 
-    // WORKAROUND: Manually filter out non-address results (cities, states, regions, etc.)
-    // Nominatim returns many irrelevant location types that aren't postal addresses.
-    // Google Places has a 'types' parameter that filters to addresses automatically,
-    // eliminating the need for this manual filtering logic.
-    const validAddresses = data.filter(place => {
-        const addr = place.address;
-        if (!addr) return false;
+    return rankPlaces(located, {
+        query,
+        address,
+        userLocation: hasUserLocation ? userLocation : null,
+        countries
+    });
+}
 
-        // Exclude administrative regions that aren't specific addresses
-        const excludeTypes = ['administrative', 'state', 'country', 'city', 'county', 'region'];
-        if (excludeTypes.includes(place.type)) return false;
+/**
+ * Find the address nearest to a coordinate with the active provider
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {AbortSignal} signal - AbortController signal for cancellation
+ * @returns {Promise<Object|null>} Normalised place, or null if nothing is nearby
+ */
+export async function reverseGeocode(latitude, longitude, signal = null) {
+    const provider = activeProvider;
+    const cacheKey = `${provider.name}|reverse|${latitude.toFixed(REVERSE_CACHE_DECIMALS)},${longitude.toFixed(REVERSE_CACHE_DECIMALS)}`;
 
-        // Only include results with a road name or specific building/place
-        const hasRoad = addr.road;
-        const hasSpecificPlace = addr.building || addr.amenity || addr.shop || addr.office || addr.house_number;
+    const cached = await readCache('geocoding', cacheKey);
+    signal?.throwIfAborted();
+    if (cached) return cached;
 
-        return hasRoad || hasSpecificPlace;
-    });
+    const place = await provider.reverse(latitude, longitude, { signal });
+    if (place) {
+        writeCache('geocoding', cacheKey, place, SEARCH_CACHE_TTL_MS);
+    }
+    return place;
+}
 
-    // WORKAROUND: Manually calculate distances and sort by proximity.
-    // Nominatim's result ranking is poor and doesn't prioritize nearby results well.
-    // Google Places returns results pre-sorted by relevance and proximity, making this unnecessary.
-    if (userLocation && userLocation.latitude && userLocation.longitude) {
-        validAddresses.forEach(place => {
-            place.distance = getDistance(
-                userLocation.latitude,
-                userLocation.longitude,
-                parseFloat(place.lat),
-                parseFloat(place.lon)
-            );
-        });
-        validAddresses.sort((a, b) => a.distance - b.distance);
+/**
+ * Build a place at exact coordinates, labelled with the nearest address
+ *
+ * For points without a street address of their own (fields, trailheads, GPS
+ * fixes), the place keeps the given coordinates rather than snapping to the
+ * nearest address, and falls back to a plain coordinate label if reverse
+ * geocoding finds nothing or fails.
+ *
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {AbortSignal} signal - AbortController signal for cancellation
+ * @returns {Promise<Object>} Normalised place of type 'coordinates'
+ */
+export async function labelCoordinates(latitude, longitude, signal = null) {
+    const coordinates = formatCoordinates(latitude, longitude);
+
+    let nearest = null;
+    try {
+        nearest = await reverseGeocode(latitude, longitude, signal);
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        console.warn('Reverse geocoding failed:', err);
     }
 
-    return validAddresses;
+    return createPlace({
+        id: `coordinates:${coordinates}`,
+        provider: nearest?.provider || null,
+        latitude,
+        longitude,
+        display_name: nearest ? `${coordinates} (near ${nearest.display_name})` : coordinates,
+        name: coordinates,
+        type: 'coordinates',
+        // Only the area is shared with the nearest address; its street may be some distance away
+        address: nearest ? {
+            city: nearest.address.city,
+            state: nearest.address.state,
+            postcode: nearest.address.postcode,
+            country: nearest.address.country,
+            country_code: nearest.address.country_code
+        } : {}
+    });
 }
-
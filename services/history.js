@@ -0,0 +1,165 @@
+/**
+ * Lookup History Service
+ * Persists past lookups (and their results, where space allows) in localStorage
+ */
+
+const STORAGE_KEY = 'lookupHistory';
+
+// Oldest unstarred entries are pruned beyond this many
+const MAX_ENTRIES = 50;
+
+/**
+ * Build a key identifying the same lookup, so repeats update one entry
+ * @param {Object} address - Address {latitude, longitude}
+ * @param {Object} lookup - Lookup {date, time, interpolate, end}
+ * @returns {string} Lookup key
+ */
+function getLookupKey(address, lookup) {
+    const end = lookup.end ? `${lookup.end.date}T${lookup.end.time}` : '';
+    return [
+        address.latitude.toFixed(5),
+        address.longitude.toFixed(5),
+        `${lookup.date}T${lookup.time}`,
+        end,
+        lookup.interpolate && !end ? 'interp' : ''
+    ].join('|');
+}
+
+/**
+ * Summarise a result for the history list, in Open-Meteo units
+ * @param {Object} weatherData - Result from getWeatherData or getWeatherRange
+ * @returns {Object} Summary {temperature, weather_code} or {hours, temperature_min, temperature_max}
+ */
+function summarize(weatherData) {
+    if (weatherData.hourly_data) {
+        return {
+            temperature: weatherData.hourly_data.temperature_2m ?? null,
+            weather_code: weatherData.hourly_data.weather_code ?? null
+        };
+    }
+
+    const temperatures = (weatherData.hourly.temperature_2m || []).filter(v => typeof v === 'number');
+    return {
+        hours: weatherData.hourly.time.length,
+        temperature_min: temperatures.length ? Math.min(...temperatures) : null,
+        temperature_max: temperatures.length ? Math.max(...temperatures) : null
+    };
+}
+
+/**
+ * Write history to storage, dropping cached results from the oldest entries
+ * until it fits when storage is full
+ * @param {Array<Object>} entries - History entries, newest first
+ * @returns {Array<Object>} Entries as saved
+ */
+function saveHistory(entries) {
+    const saved = entries.map(entry => ({ ...entry }));
+
+    for (;;) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+            return saved;
+        } catch (err) {
+            const oldestCached = [...saved].reverse().find(entry => entry.weatherData);
+            if (!oldestCached) {
+                console.warn('Could not save lookup history:', err);
+                return saved;
+            }
+            oldestCached.weatherData = null;
+        }
+    }
+}
+
+/**
+ * Load saved history, starred entries first, then newest first
+ * @returns {Array<Object>} History entries
+ */
+export function loadHistory() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+        return entries.sort((a, b) => (b.starred - a.starred) || (b.updated_at - a.updated_at));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Record a completed lookup, moving a repeated lookup to the top
+ * @param {Object} address - Selected address from AddressSearch
+ * @param {Object} lookup - Lookup {date, time, interpolate, end}
+ * @param {Object} weatherData - Raw result, cached for instant restore
+ * @returns {Array<Object>} Updated history entries
+ */
+export function addHistoryEntry(address, lookup, weatherData) {
+    const key = getLookupKey(address, lookup);
+    const entries = loadHistory();
+    const existing = entries.find(entry => entry.key === key);
+
+    const entry = {
+        id: existing?.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        key,
+        starred: existing?.starred || false,
+        created_at: existing?.created_at || Date.now(),
+        updated_at: Date.now(),
+        address: {
+            latitude: address.latitude,
+            longitude: address.longitude,
+            display_name: address.display_name,
+            label: address.label,
+            name: address.name,
+            address: address.address,
+            type: address.type,
+            provider: address.provider
+        },
+        lookup: {
+            date: lookup.date,
+            time: lookup.time,
+            interpolate: Boolean(lookup.interpolate),
+            end: lookup.end || null
+        },
+        summary: summarize(weatherData),
+        weatherData
+    };
+
+    const others = entries.filter(e => e.key !== key);
+    const updated = [entry, ...others];
+
+    // Prune the oldest unstarred entries beyond the cap
+    while (updated.length > MAX_ENTRIES) {
+        const oldestUnstarred = updated.map(e => e.starred).lastIndexOf(false);
+        if (oldestUnstarred === -1) break;
+        updated.splice(oldestUnstarred, 1);
+    }
+
+    saveHistory(updated);
+    return loadHistory();
+}
+
+/**
+ * Star or unstar an entry; starred entries stay at the top and are never pruned
+ * @param {string} id - Entry id
+ * @returns {Array<Object>} Updated history entries
+ */
+export function toggleHistoryStar(id) {
+    saveHistory(loadHistory().map(entry => entry.id === id ? { ...entry, starred: !entry.starred } : entry));
+    return loadHistory();
+}
+
+/**
+ * Delete one entry
+ * @param {string} id - Entry id
+ * @returns {Array<Object>} Updated history entries
+ */
+export function deleteHistoryEntry(id) {
+    saveHistory(loadHistory().filter(entry => entry.id !== id));
+    return loadHistory();
+}
+
+/**
+ * Delete all entries, starred included
+ * @returns {Array<Object>} Empty history
+ */
+export function clearHistory() {
+    localStorage.removeItem(STORAGE_KEY);
+    return [];
+}
@@ -0,0 +1,205 @@
+/**
+ * HTTP Requests
+ * Shared JSON fetching for every service: status checks, timeouts, retries
+ * with exponential backoff, and typed errors (see errors.js)
+ *
+ * Network errors, rate limits (HTTP 429) and server errors (5xx) are retried,
+ * waiting as long as a Retry-After header asks when one is sent. Other
+ * failures are thrown straight away. Aborting the caller's signal stops
+ * everything and rejects with the signal's AbortError, never a typed error.
+ * Requests given a queue (see request-queue.js) wait for it before each attempt.
+ */
+
+import { CONFIG } from '../config.js';
+import { NetworkError, RateLimitError, InvalidInputError, ProviderError } from './errors.js';
+
+/**
+ * Wait for a delay, rejecting early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - AbortController signal for cancellation
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
+
+/**
+ * Read a Retry-After header
+ * @param {string|null} value - Header value: seconds, or an HTTP date
+ * @returns {number|null} Wait in milliseconds, or null if absent or unreadable
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Pick the reason out of an error response body
+ * @param {*} body - Parsed body, e.g. Open-Meteo's {error: true, reason}
+ * @returns {string|null} Reason, if the body gives one
+ */
+function getReason(body) {
+    if (!body || typeof body !== 'object') return null;
+    if (typeof body.reason === 'string') return body.reason;
+    if (typeof body.message === 'string') return body.message;
+    if (typeof body.error === 'string') return body.error;
+    if (typeof body.error?.message === 'string') return body.error.message;
+    return null;
+}
+
+/**
+ * Turn an unsuccessful response into a typed error
+ * @param {Response} response - Fetch response
+ * @param {*} body - Parsed body, or null
+ * @param {string} service - Service name for messages
+ * @returns {Error} Typed error
+ */
+function toResponseError(response, body, service) {
+    const status = response.status;
+    const reason = getReason(body);
+
+    if (status === 429) {
+        return new RateLimitError(reason || `${service} rate limit reached`, {
+            service,
+            status,
+            retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'))
+        });
+    }
+    if (status === 400 || status === 422) {
+        return new InvalidInputError(reason || `${service} rejected the request`, { service, status });
+    }
+    if (status === 401 || status === 403) {
+        return new ProviderError(reason || `${service} refused the request (HTTP ${status}); check the API key`, { service, status });
+    }
+    return new ProviderError(reason || `${service} request failed (HTTP ${status})`, { service, status });
+}
+
+/**
+ * Check whether a failed request is worth trying again
+ * @param {Error} err - Typed error
+ * @returns {boolean} True for network errors, rate limits and server errors
+ */
+function isRetryable(err) {
+    return err instanceof NetworkError ||
+        err instanceof RateLimitError ||
+        (err instanceof ProviderError && err.status >= 500);
+}
+
+/**
+ * Make one request, with a timeout
+ * @param {string} url - URL to fetch
+ * @param {string} service - Service name for messages
+ * @param {AbortSignal|null} signal - Caller's signal
+ * @param {number} timeoutMs - Time allowed for the response and its body
+ * @returns {Promise<*>} Parsed JSON body
+ */
+async function attemptRequest(url, service, signal, timeoutMs) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        let response;
+        try {
+            response = await fetch(url, { signal: controller.signal });
+        } catch (err) {
+            if (signal?.aborted) throw signal.reason;
+            throw new NetworkError(
+                timedOut ? `${service} didn't respond within ${timeoutMs / 1000} s` : `Couldn't reach ${service}`,
+                { service, timedOut, cause: err }
+            );
+        }
+
+        let body = null;
+        let readError = null;
+        try {
+            body = await response.json();
+        } catch (err) {
+            if (signal?.aborted) throw signal.reason;
+            if (timedOut) {
+                throw new NetworkError(`${service} didn't respond within ${timeoutMs / 1000} s`, { service, timedOut, cause: err });
+            }
+            readError = err;
+        }
+
+        if (!response.ok) throw toResponseError(response, body, service);
+        if (readError) {
+            throw new ProviderError(`${service} sent a response that couldn't be read`, {
+                service,
+                status: response.status,
+                cause: readError
+            });
+        }
+        return body;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Fetch JSON, retrying transient failures
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Request options
+ * @param {string} options.service - Service name for error messages, e.g. 'Open-Meteo'
+ * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @param {number} options.timeoutMs - Time allowed per attempt
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {Object} options.queue - Rate-limited queue to send each attempt through (see request-queue.js)
+ * @param {string} options.group - Queue group whose older waiting requests this one replaces
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {NetworkError|RateLimitError|InvalidInputError|ProviderError} When the request
+ *   fails for good; `attempts` on the error says how many requests were made
+ */
+export async function fetchJSON(url, {
+    service = 'The service',
+    signal = null,
+    timeoutMs = CONFIG.http.timeoutMs,
+    retries = CONFIG.http.retries,
+    queue = null,
+    group = null
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted();
+        try {
+            if (queue) {
+                return await queue.schedule(url, (queueSignal) => attemptRequest(url, service, queueSignal, timeoutMs), { signal, group });
+            }
+            return await attemptRequest(url, service, signal, timeoutMs);
+        } catch (err) {
+            if (signal?.aborted || !isRetryable(err)) {
+                if (err.attempts) err.attempts = attempt + 1;
+                throw err;
+            }
+
+            // Exponential backoff with jitter, unless the service said how long to wait
+            const backoff = CONFIG.http.retryDelayMs * 2 ** attempt * (1 + Math.random() / 2);
+            const delay = err.retryAfterMs ?? backoff;
+            if (attempt >= retries || delay > CONFIG.http.maxRetryDelayMs) {
+                err.attempts = attempt + 1;
+                throw err;
+            }
+
+            console.warn(`Retrying ${service} in ${Math.round(delay)} ms after: ${err.message}`);
+            await sleep(delay, signal);
+        }
+    }
+}
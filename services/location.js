@@ -0,0 +1,147 @@
+/**
+ * User Location Service
+ * Where the user is, for biasing address search: a saved home area, the
+ * device's position (browser Geolocation API), or IP geolocation as the fallback
+ *
+ * Every source returns the same shape as getUserLocation in geocoding.js,
+ * plus `source` ('home', 'device' or 'ip') and, for device positions,
+ * `accuracy` in metres.
+ */
+
+import { reverseGeocode } from './geocoding.js';
+import { NetworkError, NoDataError, PermissionDeniedError } from './errors.js';
+
+const HOME_AREA_STORAGE_KEY = 'homeArea';
+
+// Device fixes can take a while indoors; positions up to a minute old are fine
+const DEVICE_TIMEOUT_MS = 15000;
+const DEVICE_MAX_AGE_MS = 60 * 1000;
+
+/**
+ * Check whether the page may read the device's position without prompting
+ * @returns {Promise<string>} 'granted', 'prompt', 'denied' or 'unsupported'
+ */
+export async function getDeviceLocationPermission() {
+    if (!navigator.geolocation) return 'unsupported';
+    try {
+        const status = await navigator.permissions.query({ name: 'geolocation' });
+        return status.state;
+    } catch (err) {
+        // Browsers without the Permissions API ask when the position is requested
+        return 'prompt';
+    }
+}
+
+/**
+ * Get the device's position, asking the user for permission if needed
+ * @returns {Promise<Object>} Position {latitude, longitude, accuracy}
+ * @throws {PermissionDeniedError} If location access is blocked
+ * @throws {NoDataError} If the device can't work out its position
+ * @throws {NetworkError} If no position arrives in time
+ */
+export function getDevicePosition() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new NoDataError('This browser does not provide device location', { service: 'Device location' }));
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => resolve({
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: Math.round(position.coords.accuracy)
+            }),
+            (error) => {
+                const details = { service: 'Device location' };
+                if (error.code === error.PERMISSION_DENIED) {
+                    reject(new PermissionDeniedError('Location access is blocked for this page', details));
+                } else if (error.code === error.TIMEOUT) {
+                    reject(new NetworkError('Device location timed out', { ...details, timedOut: true }));
+                } else {
+                    reject(new NoDataError('Your device could not determine its position', details));
+                }
+            },
+            { enableHighAccuracy: true, timeout: DEVICE_TIMEOUT_MS, maximumAge: DEVICE_MAX_AGE_MS }
+        );
+    });
+}
+
+/**
+ * Get the device's position as a user location, named by reverse geocoding
+ * @returns {Promise<Object>} User location with source 'device'; the area fields are
+ *   null if reverse geocoding fails
+ * @throws {PermissionDeniedError|NoDataError|NetworkError} As for getDevicePosition
+ */
+export async function getDeviceLocation() {
+    const position = await getDevicePosition();
+
+    let place = null;
+    try {
+        place = await reverseGeocode(position.latitude, position.longitude);
+    } catch (err) {
+        console.warn('Could not name the device location:', err);
+    }
+    const addr = place?.address || {};
+
+    return {
+        ...position,
+        city: addr.city || null,
+        region: addr.state || null,
+        country: addr.country || null,
+        country_code: addr.country_code ? addr.country_code.toLowerCase() : null,
+        source: 'device'
+    };
+}
+
+/**
+ * Load the saved home area
+ * @returns {Object|null} User location with source 'home', or null if none is saved
+ */
+export function loadHomeArea() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HOME_AREA_STORAGE_KEY));
+        if (saved && Number.isFinite(saved.latitude) && Number.isFinite(saved.longitude)) {
+            return { ...saved, source: 'home' };
+        }
+    } catch (err) {
+        console.warn('Could not read home area:', err);
+    }
+    return null;
+}
+
+/**
+ * Save a place as the home area, used instead of the detected location
+ * @param {Object} place - Normalised place
+ * @returns {Object} The home area as a user location
+ */
+export function saveHomeArea(place) {
+    const addr = place.address || {};
+    const home = {
+        latitude: place.latitude,
+        longitude: place.longitude,
+        label: place.label || place.display_name,
+        city: addr.city || null,
+        region: addr.state || null,
+        country: addr.country || null,
+        country_code: addr.country_code ? addr.country_code.toLowerCase() : null
+    };
+
+    try {
+        localStorage.setItem(HOME_AREA_STORAGE_KEY, JSON.stringify(home));
+    } catch (err) {
+        console.warn('Could not save home area:', err);
+    }
+    return { ...home, source: 'home' };
+}
+
+/**
+ * Forget the saved home area
+ */
+export function clearHomeArea() {
+    try {
+        localStorage.removeItem(HOME_AREA_STORAGE_KEY);
+    } catch (err) {
+        console.warn('Could not clear home area:', err);
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * Request Queue Service
+ * Per-service token-bucket rate limiting for API requests, so the app stays
+ * within usage policies such as Nominatim's one request per second even when
+ * several people share one IP address
+ *
+ * Requests wait in a first-in, first-out queue until a token is free. A request
+ * for a URL already queued or in flight shares that request's result rather than
+ * being sent again. Requests can belong to a group (e.g. 'autocomplete'), where a
+ * newer request drops older ones still waiting, so only the latest keystroke is
+ * searched. Abandoned requests (every caller aborted) leave the queue unsent.
+ */
+
+// Recent waits kept for the DataFlow panel
+const MAX_WAITS = 10;
+
+const queues = new Map();
+const listeners = new Set();
+
+/**
+ * Notify listeners that a queue changed
+ */
+function notify() {
+    const stats = getRequestQueueStats();
+    listeners.forEach(listener => listener(stats));
+}
+
+/**
+ * Create an AbortError for a request dropped from the queue
+ * @param {string} message - Why it was dropped
+ * @returns {DOMException} AbortError
+ */
+function abortError(message) {
+    return new DOMException(message, 'AbortError');
+}
+
+/**
+ * Create a token-bucket request queue
+ * @param {string} name - Queue name, e.g. 'nominatim'
+ * @param {Object} options - Rate options
+ * @param {number} options.requestsPerSecond - Sustained request rate
+ * @param {number} options.burst - Requests that may be sent at once after a quiet spell
+ * @returns {Object} Queue {name, configure, schedule, getStats}
+ */
+function createRequestQueue(name, { requestsPerSecond, burst }) {
+    let rate = requestsPerSecond;
+    let capacity = burst;
+    let tokens = capacity;
+    let refilledAt = Date.now();
+    let timer = null;
+
+    const waiting = [];
+    const entries = new Map(); // key → entry, while queued or in flight
+    const stats = { sent: 0, coalesced: 0, dropped: 0, waits: [] };
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + (now - refilledAt) / 1000 * rate);
+        refilledAt = now;
+    }
+
+    /**
+     * Reject every caller of an entry and forget it
+     * @param {Object} entry - Queued entry
+     * @param {Error} reason - Rejection reason
+     */
+    function drop(entry, reason) {
+        const index = waiting.indexOf(entry);
+        if (index !== -1) waiting.splice(index, 1);
+        entries.delete(entry.key);
+        entry.callers.forEach(caller => caller.reject(reason));
+        entry.callers.clear();
+        stats.dropped++;
+    }
+
+    /**
+     * Send as many waiting requests as there are tokens, and wake up when the next token is due
+     */
+    function pump() {
+        clearTimeout(timer);
+        timer = null;
+        refill();
+
+        while (waiting.length > 0 && tokens >= 1) {
+            tokens--;
+            run(waiting.shift());
+        }
+
+        if (waiting.length > 0) {
+            timer = setTimeout(pump, Math.ceil((1 - tokens) / rate * 1000));
+        }
+        notify();
+    }
+
+    /**
+     * Send a request and settle every caller waiting on it
+     * @param {Object} entry - Queued entry
+     */
+    async function run(entry) {
+        entry.running = true;
+        stats.sent++;
+        stats.waits = [Date.now() - entry.queuedAt, ...stats.waits].slice(0, MAX_WAITS);
+
+        try {
+            const result = await entry.task(entry.controller.signal);
+            entry.callers.forEach(caller => caller.resolve(result));
+        } catch (err) {
+            entry.callers.forEach(caller => caller.reject(err));
+        } finally {
+            if (entries.get(entry.key) === entry) entries.delete(entry.key);
+            notify();
+        }
+    }
+
+    /**
+     * Add a caller to an entry, leaving when its signal aborts
+     * @param {Object} entry - Queued or in-flight entry
+     * @param {AbortSignal|null} signal - Caller's signal
+     * @returns {Promise<*>} The request's result
+     */
+    function join(entry, signal) {
+        return new Promise((resolve, reject) => {
+            const caller = { resolve, reject };
+            entry.callers.add(caller);
+
+            signal?.addEventListener('abort', () => {
+                if (!entry.callers.delete(caller)) return;
+                reject(signal.reason);
+
+                // Nobody wants the result any more
+                if (entry.callers.size === 0) {
+                    if (entry.running) {
+                        entry.controller.abort(signal.reason);
+                        entries.delete(entry.key);
+                    } else {
+                        drop(entry, signal.reason);
+                    }
+                    notify();
+                }
+            }, { once: true });
+        });
+    }
+
+    return {
+        name,
+
+        /**
+         * Change the rate, keeping queued requests
+         * @param {Object} options - Rate options {requestsPerSecond, burst}
+         */
+        configure({ requestsPerSecond: newRate, burst: newBurst }) {
+            refill();
+            rate = newRate;
+            capacity = newBurst;
+            tokens = Math.min(tokens, capacity);
+            if (waiting.length > 0) pump();
+        },
+
+        /**
+         * Queue a request
+         * @param {string} key - Request identity, usually its URL; requests with the same key share one result
+         * @param {Function} task - Sends the request: (signal) => Promise
+         * @param {Object} options - Queue options
+         * @param {AbortSignal} options.signal - Caller's signal; aborting leaves the queue
+         * @param {string} options.group - Group whose older waiting requests this one replaces
+         * @returns {Promise<*>} The task's result
+         */
+        schedule(key, task, { signal = null, group = null } = {}) {
+            signal?.throwIfAborted();
+
+            const existing = entries.get(key);
+            if (existing) {
+                stats.coalesced++;
+                const promise = join(existing, signal);
+                notify();
+                return promise;
+            }
+
+            if (group) {
+                waiting
+                    .filter(entry => entry.group === group)
+                    .forEach(entry => drop(entry, abortError('Replaced by a newer request')));
+            }
+
+            const entry = {
+                key,
+                task,
+                group,
+                queuedAt: Date.now(),
+                running: false,
+                controller: new AbortController(),
+                callers: new Set()
+            };
+            entries.set(key, entry);
+            waiting.push(entry);
+
+            const promise = join(entry, signal);
+            pump();
+            return promise;
+        },
+
+        /**
+         * Get the queue's current state
+         * @returns {Object} Stats {name, requestsPerSecond, queued, inFlight, nextWaitMs,
+         *   lastWaitMs, maxRecentWaitMs, sent, coalesced, dropped}
+         */
+        getStats() {
+            refill();
+            const inFlight = [...entries.values()].filter(entry => entry.running).length;
+            // A request queued now waits for every request ahead of it to get a token
+            const tokensNeeded = waiting.length + 1 - tokens;
+
+            return {
+                name,
+                requestsPerSecond: rate,
+                queued: waiting.length,
+                inFlight,
+                nextWaitMs: tokensNeeded > 0 ? Math.ceil(tokensNeeded / rate * 1000) : 0,
+                lastWaitMs: stats.waits[0] ?? null,
+                maxRecentWaitMs: stats.waits.length > 0 ? Math.max(...stats.waits) : null,
+                sent: stats.sent,
+                coalesced: stats.coalesced,
+                dropped: stats.dropped
+            };
+        }
+    };
+}
+
+/**
+ * Get a service's request queue, creating it or updating its rate
+ * @param {string} name - Queue name, one per service, e.g. 'nominatim'
+ * @param {Object} options - Rate options
+ * @param {number} options.requestsPerSecond - Sustained request rate
+ * @param {number} options.burst - Requests that may be sent at once after a quiet spell
+ * @returns {Object} Queue
+ */
+export function getRequestQueue(name, { requestsPerSecond = 1, burst = 1 } = {}) {
+    let queue = queues.get(name);
+    if (queue) {
+        queue.configure({ requestsPerSecond, burst });
+    } else {
+        queue = createRequestQueue(name, { requestsPerSecond, burst });
+        queues.set(name, queue);
+    }
+    return queue;
+}
+
+/**
+ * Get the state of every request queue
+ * @returns {Array<Object>} Stats per queue (see getStats)
+ */
+export function getRequestQueueStats() {
+    return [...queues.values()].map(queue => queue.getStats());
+}
+
+/**
+ * Listen for requests being queued, sent, finished or dropped
+ * @param {Function} listener - Called with the stats of every queue
+ * @returns {Function} Unsubscribe function
+ */
+export function onRequestQueueChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -0,0 +1,81 @@
+/**
+ * Fixture Weather Provider
+ * Serves a local JSON fixture instead of calling a weather API, for demos and
+ * testing without network access
+ *
+ * The fixture describes one typical day: 24 hourly values per parameter,
+ * indexed by local hour, in the fixture's timezone. That day is repeated for
+ * every date requested, at any location, so every lookup gets deterministic data.
+ */
+
+import { fetchJSON } from '../http.js';
+import { zonedTimeToUtc, formatInTimeZone, shiftDate } from '../../utils/timezone.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_FIXTURE_URL = 'fixtures/weather-day.json';
+
+/**
+ * Create a fixture provider
+ * @param {Object} options - Provider options
+ * @param {string} options.fixtureUrl - URL of the fixture JSON {timezone, hourly}
+ * @param {Object} options.fixture - Fixture object to use instead of fetching one
+ * @returns {Object} Weather provider
+ */
+export function createFixtureProvider({ fixtureUrl = DEFAULT_FIXTURE_URL, fixture = null } = {}) {
+    let fixturePromise = fixture ? Promise.resolve(fixture) : null;
+
+    /**
+     * Load the fixture once, retrying on the next call if loading fails
+     * @returns {Promise<Object>} Fixture {timezone, hourly}
+     */
+    function loadFixture() {
+        if (!fixturePromise) {
+            fixturePromise = fetchJSON(fixtureUrl, { service: 'Weather fixture', retries: 0 });
+            fixturePromise.catch(() => {
+                fixturePromise = null;
+            });
+        }
+        return fixturePromise;
+    }
+
+    return {
+        name: 'fixture',
+        attribution: 'Synthetic fixture data for demonstration, not real observations',
+        cacheable: false,
+
+        /**
+         * Build an hourly series by repeating the fixture day over the requested dates
+         * @param {number} latitude - Location latitude (echoed back)
+         * @param {number} longitude - Location longitude (echoed back)
+         * @param {string} startDate - First local date in YYYY-MM-DD format
+         * @param {string} endDate - Last local date in YYYY-MM-DD format
+         * @param {Object} options - Request options
+         * @param {AbortSignal} options.signal - AbortController signal for cancellation
+         * @returns {Promise<Object>} Hourly series {latitude, longitude, timezone, hourly}
+         */
+        async fetchHourly(latitude, longitude, startDate, endDate, { signal = null } = {}) {
+            const day = await loadFixture();
+            signal?.throwIfAborted();
+
+            const timezone = day.timezone || 'UTC';
+            const params = Object.keys(day.hourly);
+            const hourly = { time: [] };
+            params.forEach(param => {
+                hourly[param] = [];
+            });
+
+            // Step through real instants so DST days get 23 or 25 hours
+            const end = zonedTimeToUtc(shiftDate(endDate, 1), '00:00', timezone);
+            for (let t = zonedTimeToUtc(startDate, '00:00', timezone); t < end; t += HOUR_MS) {
+                const localHour = parseInt(formatInTimeZone(t, timezone).slice(11, 13), 10);
+                hourly.time.push(t / 1000);
+                params.forEach(param => {
+                    hourly[param].push(day.hourly[param][localHour] ?? null);
+                });
+            }
+
+            return { latitude, longitude, timezone, hourly };
+        }
+    };
+}
@@ -0,0 +1,71 @@
+/**
+ * Open-Meteo Weather Provider
+ * Adapter for the Open-Meteo archive and forecast APIs, public or self-hosted
+ */
+
+import { fetchJSON } from '../http.js';
+import { InvalidInputError, NoDataError } from '../errors.js';
+import { HOURLY_PARAMS } from './series.js';
+
+// Parameters only the archive API offers (the forecast API reports soil at other depths)
+const ARCHIVE_ONLY_PARAMS = ['soil_temperature_0_to_7cm'];
+
+/**
+ * Create an Open-Meteo provider
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name reported with results
+ * @param {string} options.baseUrl - API base URL, e.g. 'https://archive-api.open-meteo.com'
+ * @param {string} options.endpoint - 'archive' or 'forecast'
+ * @returns {Object} Weather provider
+ */
+export function createOpenMeteoProvider({ name, baseUrl, endpoint = 'archive' }) {
+    const apiUrl = `${baseUrl.replace(/\/$/, '')}/v1/${endpoint}`;
+    const params = endpoint === 'archive'
+        ? HOURLY_PARAMS
+        : HOURLY_PARAMS.filter(param => !ARCHIVE_ONLY_PARAMS.includes(param));
+
+    return {
+        name,
+        attribution: 'Weather data by Open-Meteo.com (CC BY 4.0), https://open-meteo.com/',
+        cacheable: true,
+
+        /**
+         * Fetch hourly data for whole local days
+         *
+         * timezone=auto makes Open-Meteo resolve the location's IANA timezone and
+         * align days to it; timeformat=unixtime returns instants rather than local
+         * strings, so hours stay unambiguous across DST transitions.
+         *
+         * @param {number} latitude - Location latitude
+         * @param {number} longitude - Location longitude
+         * @param {string} startDate - First local date in YYYY-MM-DD format
+         * @param {string} endDate - Last local date in YYYY-MM-DD format
+         * @param {Object} options - Request options
+         * @param {AbortSignal} options.signal - AbortController signal for cancellation
+         * @returns {Promise<Object>} Hourly series {latitude, longitude, timezone, hourly}
+         * @throws {InvalidInputError} With Open-Meteo's reason if it rejects the request
+         *   (e.g. a date outside the archive), or another typed error from fetchJSON
+         * @throws {NoDataError} If the response has no hourly data
+         */
+        async fetchHourly(latitude, longitude, startDate, endDate, { signal = null } = {}) {
+            const url = `${apiUrl}?latitude=${latitude}&longitude=${longitude}&start_date=${startDate}&end_date=${endDate}&hourly=${params.join(',')}&timezone=auto&timeformat=unixtime`;
+
+            const data = await fetchJSON(url, { service: 'Open-Meteo', signal });
+
+            // Open-Meteo reports bad parameters as {error: true, reason}
+            if (data.error) {
+                throw new InvalidInputError(data.reason || 'Open-Meteo rejected the request', { service: 'Open-Meteo' });
+            }
+            if (!data.hourly?.time?.length) {
+                throw new NoDataError(`Open-Meteo has no hourly data for ${startDate} to ${endDate}`, { service: 'Open-Meteo' });
+            }
+
+            return {
+                latitude: data.latitude,
+                longitude: data.longitude,
+                timezone: data.timezone,
+                hourly: data.hourly
+            };
+        }
+    };
+}
@@ -0,0 +1,89 @@
+/**
+ * Weather Provider Contract
+ * The hourly parameters and units every weather provider returns
+ *
+ * A provider is an object with:
+ * - name: Provider id, e.g. 'open-meteo-archive'
+ * - attribution: Data licence text to show alongside results
+ * - cacheable: Whether responses may be stored in the response cache
+ * - fetchHourly(latitude, longitude, startDate, endDate, {signal}): Promise of an
+ *   hourly series {latitude, longitude, timezone, hourly} covering whole local days
+ *
+ * In the series, `timezone` is the location's IANA timezone and `hourly.time`
+ * holds Unix timestamps (seconds). Every other `hourly` key is one of
+ * HOURLY_PARAMS, with values in UNITS; parameters a provider lacks are omitted.
+ * Providers throw the typed errors in services/errors.js when data can't be
+ * fetched (services/http.js raises them for HTTP failures).
+ */
+
+// All hourly parameters, named as in the Open-Meteo APIs
+export const HOURLY_PARAMS = [
+    // Temperature
+    'temperature_2m',
+    'apparent_temperature',
+    'dew_point_2m',
+    'soil_temperature_0_to_7cm',
+
+    // Humidity & Pressure
+    'relative_humidity_2m',
+    'surface_pressure',
+    'pressure_msl',
+
+    // Wind
+    'wind_speed_10m',
+    'wind_direction_10m',
+    'wind_gusts_10m',
+
+    // Precipitation
+    'precipitation',
+    'rain',
+    'snowfall',
+    'snow_depth',
+
+    // Cloud & Visibility
+    'cloud_cover',
+    'cloud_cover_low',
+    'cloud_cover_mid',
+    'cloud_cover_high',
+    'visibility',
+
+    // Solar & Radiation
+    'shortwave_radiation',
+    'direct_radiation',
+    'diffuse_radiation',
+    'direct_normal_irradiance',
+
+    // Other
+    'et0_fao_evapotranspiration',
+    'vapour_pressure_deficit',
+    'weather_code'
+];
+
+export const UNITS = {
+    temperature_2m: "°C",
+    apparent_temperature: "°C",
+    dew_point_2m: "°C",
+    soil_temperature_0_to_7cm: "°C",
+    relative_humidity_2m: "%",
+    surface_pressure: "hPa",
+    pressure_msl: "hPa",
+    wind_speed_10m: "km/h",
+    wind_direction_10m: "°",
+    wind_gusts_10m: "km/h",
+    precipitation: "mm",
+    rain: "mm",
+    snowfall: "cm",
+    snow_depth: "m",
+    cloud_cover: "%",
+    cloud_cover_low: "%",
+    cloud_cover_mid: "%",
+    cloud_cover_high: "%",
+    visibility: "m",
+    shortwave_radiation: "W/m²",
+    direct_radiation: "W/m²",
+    diffuse_radiation: "W/m²",
+    direct_normal_irradiance: "W/m²",
+    et0_fao_evapotranspiration: "mm",
+    vapour_pressure_deficit: "kPa",
+    weather_code: "WMO code"
+};
@@ -1,123 +1,512 @@
 /**
  * Weather Service
- * Handles weather data fetching from Open-Meteo API
+ * Handles weather data fetching through a pluggable provider (the Open-Meteo
+ * archive by default; see CONFIG.weather in config.js)
  */
 
+import { CONFIG } from '../config.js';
+
+import {
+    zonedTimeToUtc,
+    formatInTimeZone,
+    getTimeZoneOffset,
+    getTimeZoneAbbreviation,
+    formatUtcOffset,
+    shiftDate
+} from '../utils/timezone.js';
+import { interpolateValue } from '../utils/interpolation.js';
+import { getAstronomy, getDailyAstronomy } from '../utils/astronomy.js';
+import { deriveMetrics, deriveMetricSeries, getDerivedFormulas, DERIVED_UNITS } from '../utils/meteorology.js';
+import { readCache, writeCache } from './cache.js';
+import { NoDataError, InvalidInputError } from './errors.js';
+import { HOURLY_PARAMS, UNITS } from './weather-providers/series.js';
+import { createOpenMeteoProvider } from './weather-providers/open-meteo.js';
+import { createFixtureProvider } from './weather-providers/fixture.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// The archive lags real time by about this many days. Newer days come from
+// the forecast API and may still be revised.
+const ARCHIVE_LAG_DAYS = 5;
+
+// How far ahead the Open-Meteo forecast API reaches, including today
+const FORECAST_DAYS = 16;
+
+// Cache lifetimes for settled and still-changing responses
+const SETTLED_CACHE_TTL_MS = 30 * DAY_MS;
+const RECENT_CACHE_TTL_MS = HOUR_MS;
+
+// Cached responses are shared by locations within ~1 km (well inside one model grid cell)
+const CACHE_COORDINATE_DECIMALS = 2;
+
+const MAX_RANGE_DAYS = 31;
+
+const PROVIDER_FACTORIES = {
+    'open-meteo-archive': ({ baseUrl }) => createOpenMeteoProvider({
+        name: 'open-meteo-archive',
+        baseUrl: baseUrl || 'https://archive-api.open-meteo.com',
+        endpoint: 'archive'
+    }),
+    'open-meteo-forecast': ({ baseUrl }) => createOpenMeteoProvider({
+        name: 'open-meteo-forecast',
+        baseUrl: baseUrl || 'https://api.open-meteo.com',
+        endpoint: 'forecast'
+    }),
+    'open-meteo-self-hosted': ({ baseUrl, endpoint = 'forecast' }) => {
+        if (!baseUrl) {
+            throw new Error('The open-meteo-self-hosted weather provider needs a baseUrl');
+        }
+        return createOpenMeteoProvider({ name: 'open-meteo-self-hosted', baseUrl, endpoint });
+    },
+    fixture: createFixtureProvider
+};
+
+let activeProvider = createWeatherProvider(CONFIG.weather);
+let forecastFallback = null;
+
 /**
- * Fetch historical weather data for a specific location and time
+ * Create a weather provider from configuration
+ * @param {Object} config - Provider config {provider, baseUrl, endpoint, fixtureUrl}
+ * @returns {Object} Weather provider
+ * @throws {Error} If the provider name is unknown or its config is incomplete
+ */
+export function createWeatherProvider({ provider = 'open-meteo-archive', ...options } = {}) {
+    const factory = PROVIDER_FACTORIES[provider];
+    if (!factory) {
+        throw new Error(`Unknown weather provider "${provider}"`);
+    }
+    return factory(options);
+}
+
+/**
+ * Switch the provider used by every weather lookup
+ * @param {Object} config - Provider config {provider, baseUrl, endpoint, fixtureUrl}
+ */
+export function setWeatherProvider(config) {
+    activeProvider = createWeatherProvider(config);
+}
+
+/**
+ * Get the provider currently in use
+ * @returns {Object} Weather provider
+ */
+export function getWeatherProvider() {
+    return activeProvider;
+}
+
+/**
+ * Get the attribution text for the provider a result came from
+ * @param {string} providerName - Provider name from a result (defaults to the active provider)
+ * @returns {string} Attribution text
+ */
+export function getWeatherAttribution(providerName) {
+    if (!PROVIDER_FACTORIES[providerName] || providerName === activeProvider.name) {
+        return activeProvider.attribution;
+    }
+    // Self-hosted needs a URL to be created, but shares Open-Meteo's attribution
+    const name = providerName === 'open-meteo-self-hosted' ? 'open-meteo-archive' : providerName;
+    return createWeatherProvider({ provider: name }).attribution;
+}
+
+/**
+ * Check that a date is a real calendar day in YYYY-MM-DD format
+ * @param {string} date - Date to check
+ * @param {string} label - What the date is, for the message
+ * @throws {InvalidInputError} If it's missing or malformed
+ */
+function validateDate(date, label = 'Date') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+    const parsed = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    if (!parsed || parsed.getUTCMonth() !== match[2] - 1 || parsed.getUTCDate() !== Number(match[3])) {
+        throw new InvalidInputError(date ? `${label} "${date}" isn't a valid date (use YYYY-MM-DD)` : `${label} is missing`);
+    }
+}
+
+/**
+ * Check that a time is a real clock time in HH:MM format
+ * @param {string} time - Time to check
+ * @param {string} label - What the time is, for the message
+ * @throws {InvalidInputError} If it's missing or malformed
+ */
+function validateTime(time, label = 'Time') {
+    const match = /^(\d{2}):(\d{2})$/.exec(time || '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new InvalidInputError(time ? `${label} "${time}" isn't a valid time (use HH:MM)` : `${label} is missing`);
+    }
+}
+
+/**
+ * Check whether a range ends early enough to be in the archive
+ * @param {string} endDate - Last local date in YYYY-MM-DD format
+ * @returns {boolean} True once every day in the range (padded by one day) has settled
+ */
+function isArchived(endDate) {
+    return Date.now() - Date.parse(shiftDate(endDate, 1)) > ARCHIVE_LAG_DAYS * DAY_MS;
+}
+
+/**
+ * Pick the provider for a range. The Open-Meteo archive can't serve recent or
+ * future days, so those go to the forecast API, which also covers recent past days.
+ * @param {string} endDate - Last local date in YYYY-MM-DD format
+ * @returns {Object} Weather provider
+ */
+function selectProvider(endDate) {
+    if (activeProvider.name !== 'open-meteo-archive' || isArchived(endDate)) {
+        return activeProvider;
+    }
+    if (!forecastFallback) {
+        forecastFallback = createWeatherProvider({ provider: 'open-meteo-forecast' });
+    }
+    return forecastFallback;
+}
+
+/**
+ * Classify where a sample's values come from
+ * @param {Object} series - Hourly series from fetchSeries
+ * @param {number} instant - Sample time as epoch milliseconds
+ * @returns {string} 'observed', 'forecast' or 'sample' (fixture data)
+ */
+function getSampleSource(series, instant) {
+    if (series.provider === 'fixture') return 'sample';
+    return instant > Date.now() ? 'forecast' : 'observed';
+}
+
+/**
+ * Fetch the hourly series covering whole local days at a location
+ *
+ * Pads the range by a day on each side: providers align days to a single UTC
+ * offset for the whole request, so on DST days the local day can spill over.
+ * Times are Unix timestamps (seconds) in `series.hourly.time`.
+ *
+ * Recent and future dates are routed from the archive to the forecast API
+ * (see selectProvider). Cacheable responses are cached by provider, rounded
+ * coordinates and date range. Archived days are effectively immutable, so
+ * they are kept far longer than recent ones.
+ *
  * @param {number} latitude - Location latitude
  * @param {number} longitude - Location longitude
- * @param {string} date - Date in YYYY-MM-DD format
- * @param {string} time - Time in HH:MM format
- * @returns {Promise<Object>} Weather data
+ * @param {string} startDate - First local date in YYYY-MM-DD format
+ * @param {string} endDate - Last local date in YYYY-MM-DD format
+ * @param {AbortSignal} signal - AbortController signal for cancellation
+ * @returns {Promise<Object>} Hourly series {provider, latitude, longitude, timezone, hourly}
+ * @throws {NoDataError} If the range reaches beyond the forecast horizon
+ */
+async function fetchSeries(latitude, longitude, startDate, endDate, signal = null) {
+    const provider = selectProvider(endDate);
+    let paddedEnd = shiftDate(endDate, 1);
+
+    if (provider.name === 'open-meteo-forecast') {
+        const lastForecastDate = shiftDate(new Date().toISOString().slice(0, 10), FORECAST_DAYS - 1);
+        if (endDate > lastForecastDate) {
+            throw new NoDataError(`No weather data available for ${endDate}: forecasts only reach ${FORECAST_DAYS} days ahead`);
+        }
+        if (paddedEnd > lastForecastDate) paddedEnd = lastForecastDate;
+    }
+
+    const lat = latitude.toFixed(CACHE_COORDINATE_DECIMALS);
+    const lon = longitude.toFixed(CACHE_COORDINATE_DECIMALS);
+    const cacheKey = `${provider.name}|${lat},${lon}|${startDate}|${endDate}`;
+
+    if (provider.cacheable) {
+        const cached = await readCache('weather', cacheKey);
+        if (cached) return cached;
+    }
+
+    const series = {
+        provider: provider.name,
+        ...await provider.fetchHourly(
+            parseFloat(lat),
+            parseFloat(lon),
+            shiftDate(startDate, -1),
+            paddedEnd,
+            { signal }
+        )
+    };
+
+    if (provider.cacheable) {
+        writeCache('weather', cacheKey, series, isArchived(endDate) ? SETTLED_CACHE_TTL_MS : RECENT_CACHE_TTL_MS);
+    }
+
+    return series;
+}
+
+/**
+ * Extract the weather at one local date and time from an archive response
+ * @param {Object} data - Hourly series from fetchSeries
+ * @param {Object} location - Requested {latitude, longitude}, for the sun and moon
+ *   (the series' own coordinates are its grid cell's)
+ * @param {string} date - Date in YYYY-MM-DD format (local to the location)
+ * @param {string} time - Time in HH:MM format (local to the location)
+ * @param {Object} options - Lookup options (see getWeatherData)
+ * @returns {Object} Weather data
  */
-export async function getWeatherData(latitude, longitude, date, time) {
+function extractWeatherAt(data, location, date, time, options) {
     const [year, month, day] = date.split('-');
     const [hour, minute] = time.split(':');
 
-    // All available hourly parameters from Open-Meteo Archive API
-    const hourlyParams = [
-        // Temperature
-        'temperature_2m',
-        'apparent_temperature',
-        'dew_point_2m',
-        'soil_temperature_0_to_7cm',
-
-        // Humidity & Pressure
-        'relative_humidity_2m',
-        'surface_pressure',
-        'pressure_msl',
-
-        // Wind
-        'wind_speed_10m',
-        'wind_direction_10m',
-        'wind_gusts_10m',
-
-        // Precipitation
-        'precipitation',
-        'rain',
-        'snowfall',
-        'snow_depth',
-
-        // Cloud & Visibility
-        'cloud_cover',
-        'cloud_cover_low',
-        'cloud_cover_mid',
-        'cloud_cover_high',
-        'visibility',
-
-        // Solar & Radiation
-        'shortwave_radiation',
-        'direct_radiation',
-        'diffuse_radiation',
-        'direct_normal_irradiance',
-
-        // Other
-        'et0_fao_evapotranspiration',
-        'vapour_pressure_deficit',
-        'weather_code'
-    ];
-
-    const url = `https://archive-api.open-meteo.com/v1/archive?latitude=${latitude}&longitude=${longitude}&start_date=${year}-${month}-${day}&end_date=${year}-${month}-${day}&hourly=${hourlyParams.join(',')}`;
-
-    const response = await fetch(url);
-    const data = await response.json();
-
-    // Find the index for the requested hour
-    const targetTime = `${hour.padStart(2, '0')}:00`;
-    const idx = data.hourly.time.findIndex(t => t.includes(targetTime));
+    const timezone = data.timezone;
+    const targetInstant = zonedTimeToUtc(date, time, timezone);
+
+    // Find the hourly sample covering the requested instant (the hour it falls in)
+    const idx = data.hourly.time.findIndex(t =>
+        t * 1000 <= targetInstant && targetInstant < t * 1000 + HOUR_MS
+    );
 
     // Validate that we found data for the requested hour
     if (idx === -1) {
-        throw new Error(`No weather data available for ${hour}:00 on ${year}-${month}-${day}`);
+        throw new NoDataError(`No weather data available for ${hour}:00 on ${year}-${month}-${day}`);
     }
 
+    const sampleInstant = data.hourly.time[idx] * 1000;
+    const offsetSeconds = getTimeZoneOffset(targetInstant, timezone);
+
+    // Position of the requested minute between this sample and the next
+    const fraction = options.interpolate && idx + 1 < data.hourly.time.length
+        ? (targetInstant - sampleInstant) / HOUR_MS
+        : 0;
+
     // Extract all hourly data for the requested time
     const hourly_data = {
-        time: data.hourly.time[idx]
+        time: formatInTimeZone(fraction > 0 ? targetInstant : sampleInstant, timezone)
     };
+    const interpolated_fields = {};
 
     // Dynamically add all available parameters
-    hourlyParams.forEach(param => {
+    HOURLY_PARAMS.forEach(param => {
         if (data.hourly[param]) {
-            hourly_data[param] = data.hourly[param][idx];
+            const series = data.hourly[param];
+            const { value, method } = interpolateValue(param, series[idx], series[idx + 1], fraction);
+            hourly_data[param] = value;
+            if (method) interpolated_fields[param] = method;
         }
     });
 
+    // Indices such as heat index are computed from the values above, interpolated or not
+    const derived = deriveMetrics(hourly_data);
+    Object.assign(hourly_data, derived);
+
     return {
+        provider: data.provider,
+        source: getSampleSource(data, targetInstant),
         latitude: data.latitude,
         longitude: data.longitude,
-        timezone: data.timezone,
+        timezone,
+        timezone_abbreviation: getTimeZoneAbbreviation(targetInstant, timezone),
+        utc_offset_seconds: offsetSeconds,
+        utc_offset: formatUtcOffset(offsetSeconds),
         requested_time: `${year}-${month}-${day} ${hour}:${minute}`,
+        requested_time_utc: new Date(targetInstant).toISOString(),
         hourly_data,
-        units: {
-            temperature_2m: "°C",
-            apparent_temperature: "°C",
-            dew_point_2m: "°C",
-            soil_temperature_0_to_7cm: "°C",
-            relative_humidity_2m: "%",
-            surface_pressure: "hPa",
-            pressure_msl: "hPa",
-            wind_speed_10m: "km/h",
-            wind_direction_10m: "°",
-            wind_gusts_10m: "km/h",
-            precipitation: "mm",
-            rain: "mm",
-            snowfall: "cm",
-            snow_depth: "m",
-            cloud_cover: "%",
-            cloud_cover_low: "%",
-            cloud_cover_mid: "%",
-            cloud_cover_high: "%",
-            visibility: "m",
-            shortwave_radiation: "W/m²",
-            direct_radiation: "W/m²",
-            diffuse_radiation: "W/m²",
-            direct_normal_irradiance: "W/m²",
-            et0_fao_evapotranspiration: "mm",
-            vapour_pressure_deficit: "kPa",
-            weather_code: "WMO code"
-        }
+        interpolated_fields,
+        derived_fields: getDerivedFormulas(Object.keys(derived)),
+        interpolation: fraction > 0 ? {
+            fraction: parseFloat(fraction.toFixed(3)),
+            samples: [
+                formatInTimeZone(sampleInstant, timezone),
+                formatInTimeZone(sampleInstant + HOUR_MS, timezone)
+            ]
+        } : null,
+        units: { ...UNITS, ...DERIVED_UNITS },
+        astronomy: getAstronomy(location.latitude, location.longitude, date, targetInstant, timezone)
     };
 }
 
+/**
+ * Fetch historical weather data for a specific location and time
+ *
+ * The date and time are read as wall-clock time at the location itself, not in
+ * the browser's timezone. The provider resolves the location's IANA timezone
+ * and returns Unix timestamps, so the matching hour is found by instant and
+ * stays correct across DST transitions.
+ *
+ * With `options.interpolate` set, values are blended between the hourly
+ * samples either side of the requested minute instead of snapping to the
+ * start of the hour. Which fields were blended, and how, is reported in
+ * `interpolated_fields`.
+ *
+ * Derived indices (heat index, wind chill, wet-bulb temperature, WBGT, humidex,
+ * Beaufort force and cloud-base height; see utils/meteorology.js) are added to
+ * `hourly_data` alongside the raw parameters, with the formula behind each
+ * one in `derived_fields`.
+ *
+ * `astronomy` gives the sun's position and the light level at the requested
+ * time, that day's sunrise, sunset and twilight times, and the moon's phase,
+ * all calculated offline for the requested coordinates (see utils/astronomy.js).
+ *
+ * Dates too recent for the archive are fetched from the forecast API instead.
+ * `source` records whether the values are 'observed' (reanalysis or recent
+ * model analysis), 'forecast', or 'sample' fixture data.
+ *
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {string} date - Date in YYYY-MM-DD format (local to the location)
+ * @param {string} time - Time in HH:MM format (local to the location)
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.interpolate - Interpolate between hourly samples
+ * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @returns {Promise<Object>} Weather data
+ * @throws {NoDataError|InvalidInputError|NetworkError|RateLimitError|ProviderError} See services/errors.js
+ */
+export async function getWeatherData(latitude, longitude, date, time, options = {}) {
+    validateTime(time);
+    const [result] = await getWeatherDataForTimes(latitude, longitude, date, [time], options);
+    if (result instanceof Error) throw result;
+    return result;
+}
+
+/**
+ * Fetch weather for several times on the same local day with a single request
+ *
+ * Each time is handled exactly like getWeatherData. A time with no data, or
+ * that isn't a valid time, does not fail the others: its slot in the result
+ * holds the Error instead.
+ *
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {string} date - Date in YYYY-MM-DD format (local to the location)
+ * @param {Array<string>} times - Times in HH:MM format (local to the location)
+ * @param {Object} options - Lookup options (see getWeatherData)
+ * @returns {Promise<Array<Object|Error>>} Weather data per time, in input order
+ * @throws {InvalidInputError} If the date is missing or malformed, or another typed
+ *   error as for getWeatherData
+ */
+export async function getWeatherDataForTimes(latitude, longitude, date, times, options = {}) {
+    validateDate(date);
+    const data = await fetchSeries(latitude, longitude, date, date, options.signal);
+
+    return times.map(time => {
+        try {
+            validateTime(time);
+            return extractWeatherAt(data, { latitude, longitude }, date, time, options);
+        } catch (err) {
+            return err;
+        }
+    });
+}
+
+/**
+ * Fetch weather for several absolute instants at one location with a single request
+ *
+ * For timestamps that carry their own UTC offset. Each instant is converted to
+ * wall-clock time at the location, then handled exactly like getWeatherData.
+ * As with getWeatherDataForTimes, an instant with no data holds the Error in
+ * its slot instead of failing the others.
+ *
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {Array<number>} instants - Milliseconds since the Unix epoch
+ * @param {Object} options - Lookup options (see getWeatherData)
+ * @returns {Promise<Array<Object|Error>>} Weather data per instant, in input order
+ * @throws {NoDataError|NetworkError|RateLimitError|ProviderError} As for getWeatherData
+ */
+export async function getWeatherDataAtInstants(latitude, longitude, instants, options = {}) {
+    // A UTC date is at most a day either side of the local one, and fetchSeries
+    // pads the local range by a day each way, so the UTC dates span every instant
+    const utcDates = instants.map(instant => new Date(instant).toISOString().slice(0, 10)).sort();
+    const data = await fetchSeries(latitude, longitude, utcDates[0], utcDates[utcDates.length - 1], options.signal);
+
+    return instants.map(instant => {
+        try {
+            const [date, time] = formatInTimeZone(instant, data.timezone).split('T');
+            return extractWeatherAt(data, { latitude, longitude }, date, time, options);
+        } catch (err) {
+            return err;
+        }
+    });
+}
+
+/**
+ * Fetch the full hourly series for a location between two local date-times
+ *
+ * Like getWeatherData, both ends of the range are read as wall-clock time at
+ * the location. The series starts at the hour containing the start time and
+ * ends at the last hour at or before the end time.
+ *
+ * `source` is as for getWeatherData, or 'mixed' when the range runs from
+ * observed hours into forecast ones, starting at `forecast_from`.
+ *
+ * `astronomy.days` gives each local day's sunrise, sunset and twilight times
+ * and the moon's phase, calculated offline for the requested coordinates.
+ *
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {Object} start - Range start {date: 'YYYY-MM-DD', time: 'HH:MM'}
+ * @param {Object} end - Range end {date: 'YYYY-MM-DD', time: 'HH:MM'}
+ * @returns {Promise<Object>} Weather series with `hourly` arrays keyed by parameter,
+ *   including the derived indices described for getWeatherData
+ * @throws {InvalidInputError} If a date or time is malformed, or the range is too long or
+ *   ends before it starts, or another typed error as for getWeatherData
+ */
+export async function getWeatherRange(latitude, longitude, start, end) {
+    validateDate(start.date, 'Start date');
+    validateTime(start.time, 'Start time');
+    validateDate(end.date, 'End date');
+    validateTime(end.time, 'End time');
+
+    // Both ends are wall-clock times at the same place, so they compare as text
+    if (`${end.date} ${end.time}` < `${start.date} ${start.time}`) {
+        throw new InvalidInputError('Time range end must be after its start');
+    }
+
+    const spanDays = (Date.parse(end.date) - Date.parse(start.date)) / DAY_MS;
+    if (spanDays > MAX_RANGE_DAYS) {
+        throw new InvalidInputError(`Time range is too long (maximum ${MAX_RANGE_DAYS} days)`);
+    }
+
+    const data = await fetchSeries(latitude, longitude, start.date, end.date);
+
+    const timezone = data.timezone;
+    const startInstant = zonedTimeToUtc(start.date, start.time, timezone);
+    const endInstant = zonedTimeToUtc(end.date, end.time, timezone);
+
+    // Keep samples from the hour containing the start up to the end
+    const indices = [];
+    data.hourly.time.forEach((t, i) => {
+        if (t * 1000 + HOUR_MS > startInstant && t * 1000 <= endInstant) indices.push(i);
+    });
+
+    if (indices.length === 0) {
+        throw new NoDataError(`No weather data available between ${start.date} ${start.time} and ${end.date} ${end.time}`);
+    }
+
+    const hourly = {
+        time: indices.map(i => formatInTimeZone(data.hourly.time[i] * 1000, timezone))
+    };
+
+    HOURLY_PARAMS.forEach(param => {
+        if (data.hourly[param]) {
+            hourly[param] = indices.map(i => data.hourly[param][i]);
+        }
+    });
+
+    const derived = deriveMetricSeries(hourly);
+    Object.assign(hourly, derived);
+
+    const offsetSeconds = getTimeZoneOffset(startInstant, timezone);
+
+    // A range reaching past now is observed up to a point, then forecast
+    const sources = indices.map(i => getSampleSource(data, data.hourly.time[i] * 1000));
+    const firstForecast = sources.indexOf('forecast');
+    const source = new Set(sources).size > 1 ? 'mixed' : sources[0];
+
+    return {
+        provider: data.provider,
+        source,
+        forecast_from: firstForecast > 0 ? hourly.time[firstForecast] : null,
+        latitude: data.latitude,
+        longitude: data.longitude,
+        timezone,
+        timezone_abbreviation: getTimeZoneAbbreviation(startInstant, timezone),
+        utc_offset_seconds: offsetSeconds,
+        utc_offset: formatUtcOffset(offsetSeconds),
+        requested_range: {
+            start: `${start.date} ${start.time}`,
+            end: `${end.date} ${end.time}`
+        },
+        hourly,
+        derived_fields: getDerivedFormulas(Object.keys(derived)),
+        units: { ...UNITS, ...DERIVED_UNITS },
+        astronomy: { days: getDailyAstronomy(latitude, longitude, start.date, end.date, timezone) }
+    };
+}
@@ -0,0 +1,317 @@
+/**
+ * Astronomy Utilities
+ * Offline sun and moon calculations for a place and time: sunrise, sunset and
+ * twilight, the sun's position in the sky, and the moon's phase and illumination
+ *
+ * Uses the low-precision formulas from Meeus, "Astronomical Algorithms" (the
+ * same ones behind the NOAA solar calculator's sunrise equation and the
+ * suncalc library). Event times are good to about a minute away from the
+ * poles, and illumination to about a percent.
+ */
+
+import { zonedTimeToUtc, formatInTimeZone, shiftDate } from './timezone.js';
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Julian date of the J2000.0 epoch (2000-01-01 12:00) and of the Unix epoch
+const J2000 = 2451545;
+const J1970 = 2440587.5;
+
+// Obliquity of the ecliptic
+const OBLIQUITY = 23.4397 * RAD;
+
+// Mean Earth-Sun distance in km, for the moon's phase angle
+const SUN_DISTANCE_KM = 149598000;
+
+// Sun altitude (degrees) at each event: sunrise/sunset allow for refraction
+// and the sun's radius, twilights are measured from the sun's centre
+const SUN_ALTITUDES = {
+    sunrise: -0.833,
+    civil: -6,
+    nautical: -12,
+    astronomical: -18
+};
+
+const MOON_PHASE_NAMES = [
+    'New moon',
+    'Waxing crescent',
+    'First quarter',
+    'Waxing gibbous',
+    'Full moon',
+    'Waning gibbous',
+    'Last quarter',
+    'Waning crescent'
+];
+
+/**
+ * Days since J2000.0 for an instant
+ * @param {number} instant - Milliseconds since the Unix epoch
+ * @returns {number} Days (fractional)
+ */
+function toDays(instant) {
+    return instant / DAY_MS + J1970 - J2000;
+}
+
+/**
+ * Instant for a number of days since J2000.0
+ * @param {number} days - Days (fractional)
+ * @returns {number} Milliseconds since the Unix epoch
+ */
+function fromDays(days) {
+    return (days + J2000 - J1970) * DAY_MS;
+}
+
+/**
+ * Convert ecliptic coordinates to equatorial ones
+ * @param {number} longitude - Ecliptic longitude in radians
+ * @param {number} latitude - Ecliptic latitude in radians
+ * @returns {Object} {rightAscension, declination} in radians
+ */
+function toEquatorial(longitude, latitude) {
+    return {
+        rightAscension: Math.atan2(
+            Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY),
+            Math.cos(longitude)
+        ),
+        declination: Math.asin(
+            Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude)
+        )
+    };
+}
+
+/**
+ * The sun's position on the celestial sphere
+ * @param {number} days - Days since J2000.0
+ * @returns {Object} {meanAnomaly, eclipticLongitude, rightAscension, declination} in radians
+ */
+function getSunCoordinates(days) {
+    const meanAnomaly = (357.5291 + 0.98560028 * days) * RAD;
+    const center = (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly)) * RAD;
+    const eclipticLongitude = meanAnomaly + center + 102.9372 * RAD + Math.PI;
+
+    return { meanAnomaly, eclipticLongitude, ...toEquatorial(eclipticLongitude, 0) };
+}
+
+/**
+ * The moon's position on the celestial sphere
+ * @param {number} days - Days since J2000.0
+ * @returns {Object} {rightAscension, declination} in radians and distance in km
+ */
+function getMoonCoordinates(days) {
+    const meanLongitude = (218.316 + 13.176396 * days) * RAD;
+    const meanAnomaly = (134.963 + 13.064993 * days) * RAD;
+    const meanDistance = (93.272 + 13.229350 * days) * RAD;
+
+    const longitude = meanLongitude + 6.289 * RAD * Math.sin(meanAnomaly);
+    const latitude = 5.128 * RAD * Math.sin(meanDistance);
+
+    return {
+        ...toEquatorial(longitude, latitude),
+        distance: 385001 - 20905 * Math.cos(meanAnomaly)
+    };
+}
+
+/**
+ * Altitude and azimuth of a body seen from a place
+ * @param {number} instant - Milliseconds since the Unix epoch
+ * @param {number} latitude - Observer latitude
+ * @param {number} longitude - Observer longitude (east positive)
+ * @param {Object} coordinates - Body's {rightAscension, declination}
+ * @returns {Object} {altitude, azimuth} in degrees; azimuth clockwise from north
+ */
+function getHorizontalPosition(instant, latitude, longitude, { rightAscension, declination }) {
+    const siderealTime = (280.16 + 360.9856235 * toDays(instant) + longitude) * RAD;
+    const hourAngle = siderealTime - rightAscension;
+    const phi = latitude * RAD;
+
+    const altitude = Math.asin(
+        Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle)
+    );
+    const azimuth = Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)
+    ) + Math.PI;
+
+    return { altitude: altitude / RAD, azimuth: (azimuth / RAD) % 360 };
+}
+
+/**
+ * Atmospheric refraction near the horizon (Bennett 1982)
+ * @param {number} altitude - True altitude in degrees
+ * @returns {number} Refraction in degrees, to add to the true altitude
+ */
+function getRefraction(altitude) {
+    if (altitude < -1) return 0;
+    return 1 / Math.tan((altitude + 7.31 / (altitude + 4.4)) * RAD) / 60;
+}
+
+/**
+ * Describe how light it is from the sun's true altitude
+ * @param {number} altitude - Sun's altitude in degrees
+ * @returns {string} 'daylight', 'civil_twilight', 'nautical_twilight',
+ *   'astronomical_twilight' or 'night'
+ */
+function getLightLevel(altitude) {
+    if (altitude > SUN_ALTITUDES.sunrise) return 'daylight';
+    if (altitude > SUN_ALTITUDES.civil) return 'civil_twilight';
+    if (altitude > SUN_ALTITUDES.nautical) return 'nautical_twilight';
+    if (altitude > SUN_ALTITUDES.astronomical) return 'astronomical_twilight';
+    return 'night';
+}
+
+/**
+ * Get the sun's position in the sky
+ * @param {number} instant - Milliseconds since the Unix epoch
+ * @param {number} latitude - Observer latitude
+ * @param {number} longitude - Observer longitude
+ * @returns {Object} {elevation, azimuth, light}: apparent elevation (with refraction)
+ *   and azimuth clockwise from north, in degrees, and how light it is
+ */
+export function getSolarPosition(instant, latitude, longitude) {
+    const { altitude, azimuth } = getHorizontalPosition(instant, latitude, longitude, getSunCoordinates(toDays(instant)));
+
+    return {
+        elevation: parseFloat((altitude + getRefraction(altitude)).toFixed(1)),
+        azimuth: parseFloat(azimuth.toFixed(1)),
+        light: getLightLevel(altitude)
+    };
+}
+
+/**
+ * Get sunrise, sunset and twilight times for a local calendar day
+ *
+ * An event that doesn't happen that day (the sun stays above or below its
+ * altitude, as in polar day or night, or summer nights that never get fully
+ * dark) is null; compare `noon_elevation` with the event's altitude to tell which.
+ *
+ * @param {string} date - Date in YYYY-MM-DD format (local to the place)
+ * @param {number} latitude - Observer latitude
+ * @param {number} longitude - Observer longitude
+ * @param {string} timezone - IANA timezone the times are given in
+ * @returns {Object} Local times in YYYY-MM-DDTHH:MM format: solar_noon, sunrise, sunset,
+ *   civil_dawn, civil_dusk, nautical_dawn, nautical_dusk, astronomical_dawn and
+ *   astronomical_dusk, plus noon_elevation in degrees
+ */
+export function getSunTimes(date, latitude, longitude, timezone) {
+    // The solar noon nearest the local day's clock noon
+    const localNoon = toDays(zonedTimeToUtc(date, '12:00', timezone));
+    const cycle = Math.round(localNoon - 0.0009 + longitude / 360);
+    const meanNoon = cycle + 0.0009 - longitude / 360;
+
+    const sun = getSunCoordinates(meanNoon);
+    const transit = meanNoon + 0.0053 * Math.sin(sun.meanAnomaly) - 0.0069 * Math.sin(2 * sun.eclipticLongitude);
+    const phi = latitude * RAD;
+
+    const format = (days) => formatInTimeZone(fromDays(days), timezone);
+
+    /**
+     * Times the sun passes an altitude, rising and setting
+     * @param {number} altitude - Sun altitude in degrees
+     * @returns {Array<string|null>} [rising, setting]
+     */
+    const crossing = (altitude) => {
+        const cosHourAngle = (Math.sin(altitude * RAD) - Math.sin(phi) * Math.sin(sun.declination)) /
+            (Math.cos(phi) * Math.cos(sun.declination));
+        if (cosHourAngle < -1 || cosHourAngle > 1) return [null, null];
+
+        const offset = Math.acos(cosHourAngle) / (2 * Math.PI);
+        return [format(transit - offset), format(transit + offset)];
+    };
+
+    const [sunrise, sunset] = crossing(SUN_ALTITUDES.sunrise);
+    const [civil_dawn, civil_dusk] = crossing(SUN_ALTITUDES.civil);
+    const [nautical_dawn, nautical_dusk] = crossing(SUN_ALTITUDES.nautical);
+    const [astronomical_dawn, astronomical_dusk] = crossing(SUN_ALTITUDES.astronomical);
+
+    return {
+        solar_noon: format(transit),
+        sunrise,
+        sunset,
+        civil_dawn,
+        civil_dusk,
+        nautical_dawn,
+        nautical_dusk,
+        astronomical_dawn,
+        astronomical_dusk,
+        noon_elevation: parseFloat((90 - Math.abs(latitude - sun.declination / RAD)).toFixed(1))
+    };
+}
+
+/**
+ * Get the moon's phase and how much of it is lit
+ * @param {number} instant - Milliseconds since the Unix epoch
+ * @returns {Object} {phase, phase_name, illumination}: phase from 0 (new) through
+ *   0.5 (full) to 1, and illumination as a percentage of the disc
+ */
+export function getMoonPhase(instant) {
+    const days = toDays(instant);
+    const sun = getSunCoordinates(days);
+    const moon = getMoonCoordinates(days);
+
+    // Angle between sun and moon seen from Earth, then seen from the moon
+    const elongation = Math.acos(
+        Math.sin(sun.declination) * Math.sin(moon.declination) +
+        Math.cos(sun.declination) * Math.cos(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension)
+    );
+    const phaseAngle = Math.atan2(
+        SUN_DISTANCE_KM * Math.sin(elongation),
+        moon.distance - SUN_DISTANCE_KM * Math.cos(elongation)
+    );
+    // Which side of the sun the moon is on: waxing east of it, waning west
+    const side = Math.atan2(
+        Math.cos(sun.declination) * Math.sin(sun.rightAscension - moon.rightAscension),
+        Math.sin(sun.declination) * Math.cos(moon.declination) -
+        Math.cos(sun.declination) * Math.sin(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension)
+    );
+
+    const phase = 0.5 + 0.5 * phaseAngle * (side < 0 ? -1 : 1) / Math.PI;
+
+    return {
+        phase: parseFloat(phase.toFixed(3)),
+        phase_name: MOON_PHASE_NAMES[Math.round(phase * 8) % 8],
+        illumination: Math.round((1 + Math.cos(phaseAngle)) / 2 * 100)
+    };
+}
+
+/**
+ * Get the sun and moon context for a place and time
+ * @param {number} latitude - Observer latitude
+ * @param {number} longitude - Observer longitude
+ * @param {string} date - Date in YYYY-MM-DD format (local to the place)
+ * @param {number} instant - Milliseconds since the Unix epoch
+ * @param {string} timezone - IANA timezone of the place
+ * @returns {Object} {sun, moon}: the sun's position and light level at the instant
+ *   merged with the day's sunrise, sunset and twilight times, and the moon's phase
+ */
+export function getAstronomy(latitude, longitude, date, instant, timezone) {
+    return {
+        sun: {
+            ...getSolarPosition(instant, latitude, longitude),
+            ...getSunTimes(date, latitude, longitude, timezone)
+        },
+        moon: getMoonPhase(instant)
+    };
+}
+
+/**
+ * Get each local day's sun times and moon phase across a date range
+ * @param {number} latitude - Observer latitude
+ * @param {number} longitude - Observer longitude
+ * @param {string} startDate - First local date in YYYY-MM-DD format
+ * @param {string} endDate - Last local date in YYYY-MM-DD format
+ * @param {string} timezone - IANA timezone of the place
+ * @returns {Array<Object>} One {date, sun, moon} per day: the day's sunrise, sunset and
+ *   twilight times (see getSunTimes) and the moon's phase at local noon
+ */
+export function getDailyAstronomy(latitude, longitude, startDate, endDate, timezone) {
+    const days = [];
+    for (let date = startDate; date <= endDate; date = shiftDate(date, 1)) {
+        days.push({
+            date,
+            sun: getSunTimes(date, latitude, longitude, timezone),
+            moon: getMoonPhase(zonedTimeToUtc(date, '12:00', timezone))
+        });
+    }
+    return days;
+}
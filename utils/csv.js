@@ -0,0 +1,93 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 parsing and serialisation (quoted fields, embedded commas,
+ * quotes and newlines)
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, with blank lines skipped
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV text
+ * @returns {Object} Parsed data {headers, records}
+ */
+export function parseCSVRecords(text) {
+    const [headers = [], ...rows] = parseCSV(text);
+    const trimmedHeaders = headers.map(h => h.trim());
+    const records = rows.map(row => {
+        const record = {};
+        trimmedHeaders.forEach((header, i) => {
+            record[header] = (row[i] ?? '').trim();
+        });
+        return record;
+    });
+    return { headers: trimmedHeaders, records };
+}
+
+/**
+ * Quote a value for CSV output when it contains a delimiter, quote or newline
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+export function escapeCSVField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise rows of fields as CSV text
+ * @param {Array<Array<*>>} rows - Rows of field values
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function toCSV(rows) {
+    return rows.map(row => row.map(escapeCSVField).join(',')).join('\r\n');
+}
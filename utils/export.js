@@ -0,0 +1,166 @@
+/**
+ * Export Utilities
+ * Builds downloadable JSON and CSV reports from a weather result
+ */
+
+import { toCSV } from './csv.js';
+
+// Data-source attribution required by the providers' licences
+export const ATTRIBUTION = {
+    weather: 'Weather data by Open-Meteo.com (CC BY 4.0), https://open-meteo.com/',
+    geocoding: 'Geocoding © OpenStreetMap contributors (ODbL) via Nominatim, https://www.openstreetmap.org/copyright'
+};
+
+/**
+ * Check whether a result is a time range (from getWeatherRange) rather than a single time
+ * @param {Object} weatherData - Weather data or range data
+ * @returns {boolean} True for range data
+ */
+export function isRangeResult(weatherData) {
+    return Boolean(weatherData.hourly && Array.isArray(weatherData.hourly.time));
+}
+
+/**
+ * Name a CSV column for a parameter, with its unit when it has one
+ * @param {string} param - Parameter name
+ * @param {string} unit - Unit, or '' for dimensionless values such as humidex
+ * @returns {string} Column name, e.g. "temperature_2m (°C)"
+ */
+export function getColumnName(param, unit) {
+    return unit ? `${param} (${unit})` : param;
+}
+
+/**
+ * Cite the formula behind each derived index in one CSV field
+ * @param {Object} derivedFields - Formula keyed by metric, from a weather result
+ * @returns {string} Citations, e.g. "heat_index: NWS heat index … | humidex: …"
+ */
+export function formatFormulas(derivedFields = {}) {
+    return Object.entries(derivedFields)
+        .map(([param, formula]) => `${param}: ${formula}`)
+        .join(' | ');
+}
+
+/**
+ * Assemble the full report for a weather result
+ * @param {Object} weatherData - Weather data from getWeatherData or getWeatherRange
+ * @param {Object} address - Selected address from AddressSearch
+ * @param {Object} attribution - Data-source attribution {weather, geocoding}
+ * @returns {Object} Report with address, weather data and attribution
+ */
+export function buildReport(weatherData, address, attribution = ATTRIBUTION) {
+    return {
+        generated_at: new Date().toISOString(),
+        address: {
+            display_name: address.display_name,
+            latitude: address.latitude,
+            longitude: address.longitude,
+            address: address.address,
+            type: address.type,
+            provider: address.provider
+        },
+        weather: weatherData,
+        attribution
+    };
+}
+
+/**
+ * Serialise a report as formatted JSON
+ * @param {Object} report - Report from buildReport
+ * @returns {string} JSON text
+ */
+export function buildReportJSON(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Flatten a report to CSV: one row per hour, parameters as columns
+ *
+ * `latitude`/`longitude` are the chosen address; `grid_latitude`/`grid_longitude`
+ * are the weather model's grid cell the values come from.
+ * @param {Object} report - Report from buildReport
+ * @returns {string} CSV text
+ */
+export function buildReportCSV(report) {
+    const { address, weather, attribution } = report;
+    const rows = isRangeResult(weather)
+        ? weather.hourly.time.map((time, i) => {
+            const row = { time };
+            Object.keys(weather.hourly).forEach(param => {
+                if (param !== 'time') row[param] = weather.hourly[param][i];
+            });
+            return row;
+        })
+        : [weather.hourly_data];
+
+    const params = Object.keys(rows[0]).filter(param => param !== 'time');
+
+    const header = [
+        'address',
+        'latitude',
+        'longitude',
+        'grid_latitude',
+        'grid_longitude',
+        'timezone',
+        'utc_offset',
+        'time',
+        ...params.map(param => getColumnName(param, weather.units[param])),
+        'formulas',
+        'attribution'
+    ];
+
+    const formulas = formatFormulas(weather.derived_fields);
+    const sources = `${attribution.weather}; ${attribution.geocoding}`;
+    const body = rows.map(row => [
+        address.display_name,
+        address.latitude,
+        address.longitude,
+        weather.latitude,
+        weather.longitude,
+        weather.timezone,
+        weather.utc_offset,
+        row.time,
+        ...params.map(param => row[param]),
+        formulas,
+        sources
+    ]);
+
+    return toCSV([header, ...body]);
+}
+
+/**
+ * Build a filename for a report, e.g. "weather-123-main-street-2024-03-10.csv"
+ * @param {Object} report - Report from buildReport
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Filename
+ */
+export function getReportFilename(report, extension) {
+    const slug = (report.address.display_name || 'location')
+        .split(',').slice(0, 2).join(' ')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    const weather = report.weather;
+    const when = isRangeResult(weather)
+        ? `${weather.requested_range.start.slice(0, 10)}-to-${weather.requested_range.end.slice(0, 10)}`
+        : weather.requested_time.slice(0, 10);
+    return `weather-${slug}-${when}.${extension}`;
+}
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} content - File content
+ * @param {string} filename - Suggested filename
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,162 @@
+/**
+ * Geographic Utilities
+ * Distance calculations, coordinate parsing and formatting, and map projection
+ */
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * @param {number} lat1 - First latitude
+ * @param {number} lon1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lon2 - Second longitude
+ * @returns {number} Distance in kilometers
+ */
+export function getDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371; // Earth's radius in km
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLon/2) * Math.sin(dLon/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return R * c;
+}
+
+/**
+ * Parse one coordinate written as decimal degrees, degrees and decimal
+ * minutes, or degrees, minutes and seconds, with an optional hemisphere letter
+ * @param {string} text - e.g. "41.8781", "-87.6298", "41°52'41.2\"N", "87 37.79 W"
+ * @returns {Object|null} Parsed coordinate {value, hemisphere, marked, decimal}, or null if unreadable
+ */
+function parseCoordinatePart(text) {
+    const match = text.trim().match(
+        /^([NSEW])?\s*([+-]?\d+(?:\.\d+)?)\s*(?:°|\s)?\s*(?:(\d+(?:\.\d+)?)\s*(?:'|\s)?\s*)?(?:(\d+(?:\.\d+)?)\s*(?:"|'')?\s*)?([NSEW])?$/i
+    );
+    if (!match) return null;
+
+    const [, prefix, degreesText, minutesText, secondsText, suffix] = match;
+    if (prefix && suffix) return null;
+
+    const degrees = parseFloat(degreesText);
+    const minutes = minutesText ? parseFloat(minutesText) : 0;
+    const seconds = secondsText ? parseFloat(secondsText) : 0;
+    if (minutes >= 60 || seconds >= 60) return null;
+    // Minutes and seconds only refine whole degrees
+    if ((minutesText && !Number.isInteger(degrees)) || (secondsText && !Number.isInteger(minutes))) return null;
+
+    const hemisphere = (prefix || suffix || '').toUpperCase() || null;
+    let value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+    if (degreesText.startsWith('-') || hemisphere === 'S' || hemisphere === 'W') value = -value;
+
+    return {
+        value,
+        hemisphere,
+        // Degree symbols, minutes or hemispheres show the text is meant as a coordinate
+        marked: Boolean(hemisphere || minutesText || /°/.test(text)),
+        decimal: degreesText.includes('.')
+    };
+}
+
+/**
+ * Parse a latitude/longitude pair typed or pasted by the user
+ *
+ * Accepts decimal degrees ("41.8781, -87.6298"), hemisphere letters
+ * ("41.8781 N 87.6298 W"), degrees and decimal minutes ("41 52.687N 87 37.788W")
+ * and degrees, minutes and seconds ("41°52'41.2\"N 87°37'47.3\"W"). Plain
+ * numbers need a comma or a decimal point, so street addresses that start with
+ * two numbers aren't mistaken for coordinates.
+ *
+ * @param {string} text - Raw input
+ * @returns {Object|null} Coordinates {latitude, longitude}, or null if the text isn't a valid pair
+ */
+export function parseCoordinates(text) {
+    const normalized = text
+        .trim()
+        .replace(/[′’]/g, "'")
+        .replace(/[″”]/g, '"')
+        .replace(/º/g, '°');
+    if (!normalized) return null;
+
+    // Split into the two halves: at a comma, after a hemisphere letter, or between numbers
+    let halves = null;
+    const commaParts = normalized.split(/\s*[,;]\s*/);
+    if (commaParts.length === 2) {
+        halves = commaParts;
+    } else if (commaParts.length === 1) {
+        const afterHemisphere = normalized.match(/^(.*?\d.*?[NS])\s+(.+)$/i);
+        const numbers = normalized.split(/\s+/);
+        if (afterHemisphere) {
+            halves = [afterHemisphere[1], afterHemisphere[2]];
+        } else if ([2, 4, 6].includes(numbers.length)) {
+            halves = [numbers.slice(0, numbers.length / 2).join(' '), numbers.slice(numbers.length / 2).join(' ')];
+        }
+    }
+    if (!halves) return null;
+
+    let [first, second] = halves.map(parseCoordinatePart);
+    if (!first || !second) return null;
+    if (commaParts.length === 1 && !first.marked && !second.marked && !(first.decimal || second.decimal)) {
+        return null;
+    }
+
+    // Hemisphere letters may put longitude first
+    if (['E', 'W'].includes(first.hemisphere) || ['N', 'S'].includes(second.hemisphere)) {
+        [first, second] = [second, first];
+    }
+    if (['E', 'W'].includes(first.hemisphere) || ['N', 'S'].includes(second.hemisphere)) {
+        return null;
+    }
+
+    const latitude = first.value;
+    const longitude = second.value;
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+    return { latitude, longitude };
+}
+
+/**
+ * Format coordinates as decimal degrees, e.g. "41.87810, -87.62980"
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {string} Coordinates text
+ */
+export function formatCoordinates(latitude, longitude) {
+    return `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+}
+
+// Web Mercator can't show the poles; tiles stop at this latitude
+const MAX_MERCATOR_LATITUDE = 85.05112878;
+
+/**
+ * Project coordinates to Web Mercator world pixels, as used by slippy map tiles
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} zoom - Zoom level (the world is 256 × 2^zoom pixels wide)
+ * @returns {Object} World pixel position {x, y}
+ */
+export function projectToPixels(latitude, longitude, zoom) {
+    const scale = 256 * 2 ** zoom;
+    const lat = Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, latitude));
+    const sinLat = Math.sin(lat * Math.PI / 180);
+    return {
+        x: (longitude + 180) / 360 * scale,
+        y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+    };
+}
+
+/**
+ * Convert Web Mercator world pixels back to coordinates
+ * @param {number} x - World pixel x
+ * @param {number} y - World pixel y
+ * @param {number} zoom - Zoom level
+ * @returns {Object} Coordinates {latitude, longitude}, with longitude wrapped to ±180
+ */
+export function unprojectFromPixels(x, y, zoom) {
+    const scale = 256 * 2 ** zoom;
+    const n = Math.PI - 2 * Math.PI * y / scale;
+    const longitude = x / scale * 360 - 180;
+    return {
+        latitude: Math.atan(Math.sinh(n)) * 180 / Math.PI,
+        longitude: ((longitude + 540) % 360) - 180
+    };
+}
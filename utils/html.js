@@ -0,0 +1,18 @@
+/**
+ * HTML Utilities
+ * Escaping for text from geocoders, permalinks or saved history that ends up in
+ * markup built as template strings
+ */
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {*} text - Untrusted text
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
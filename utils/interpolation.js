@@ -0,0 +1,99 @@
+/**
+ * Interpolation Utilities
+ * Blends two hourly weather samples to estimate values between them
+ */
+
+// Parameters measured as compass bearings, blended along the shortest arc
+const CIRCULAR_PARAMS = ['wind_direction_10m'];
+
+// Parameters holding category codes, where an in-between value is meaningless
+const CATEGORICAL_PARAMS = ['weather_code'];
+
+/**
+ * Linearly interpolate between two numbers
+ * @param {number} a - Value at fraction 0
+ * @param {number} b - Value at fraction 1
+ * @param {number} fraction - Position between the samples (0-1)
+ * @returns {number} Interpolated value
+ */
+export function lerp(a, b, fraction) {
+    return a + (b - a) * fraction;
+}
+
+/**
+ * Interpolate between two angles along the shortest arc
+ * (e.g. 350° → 10° passes through 0°, not 180°)
+ * @param {number} a - Angle in degrees at fraction 0
+ * @param {number} b - Angle in degrees at fraction 1
+ * @param {number} fraction - Position between the samples (0-1)
+ * @returns {number} Interpolated angle in degrees, normalised to 0-360
+ */
+export function lerpAngle(a, b, fraction) {
+    const delta = ((b - a) % 360 + 540) % 360 - 180;
+    return ((a + delta * fraction) % 360 + 360) % 360;
+}
+
+/**
+ * Average angles as unit vectors (e.g. 350° and 10° average to 0°, not 180°)
+ * @param {Array<number>} angles - Angles in degrees
+ * @returns {number|null} Mean angle in degrees, normalised to 0-360, or null when
+ *   the angles cancel out and have no mean direction
+ */
+export function meanAngle(angles) {
+    const rad = Math.PI / 180;
+    const x = angles.reduce((sum, angle) => sum + Math.cos(angle * rad), 0);
+    const y = angles.reduce((sum, angle) => sum + Math.sin(angle * rad), 0);
+    if (Math.hypot(x, y) < 1e-9 * angles.length) return null;
+    return (Math.atan2(y, x) / rad + 360) % 360;
+}
+
+/**
+ * Get the interpolation method used for a parameter
+ * @param {string} param - Open-Meteo hourly parameter name
+ * @returns {string} 'circular', 'nearest' or 'linear'
+ */
+export function getInterpolationMethod(param) {
+    if (CIRCULAR_PARAMS.includes(param)) return 'circular';
+    if (CATEGORICAL_PARAMS.includes(param)) return 'nearest';
+    return 'linear';
+}
+
+/**
+ * Round an interpolated value to the precision of its source samples,
+ * so blending 21.3 and 22.1 reads 21.7 rather than 21.699999
+ * @param {number} value - Interpolated value
+ * @param {number} a - First source sample
+ * @param {number} b - Second source sample
+ * @returns {number} Rounded value
+ */
+function matchPrecision(value, a, b) {
+    const decimals = (n) => (n.toString().split('.')[1] || '').length;
+    const places = Math.max(decimals(a), decimals(b), 1);
+    return parseFloat(value.toFixed(places));
+}
+
+/**
+ * Interpolate a single parameter between two hourly samples
+ * @param {string} param - Open-Meteo hourly parameter name
+ * @param {*} a - Sample value at the start of the hour
+ * @param {*} b - Sample value at the end of the hour
+ * @param {number} fraction - Position between the samples (0-1)
+ * @returns {Object} Result {value, method} where method is null when the value
+ *                   was copied unchanged from the start-of-hour sample
+ */
+export function interpolateValue(param, a, b, fraction) {
+    // Nothing to blend at an exact sample, or when either side is missing
+    if (fraction === 0 || typeof a !== 'number' || typeof b !== 'number') {
+        return { value: a ?? null, method: null };
+    }
+
+    const method = getInterpolationMethod(param);
+    switch (method) {
+        case 'nearest':
+            return fraction < 0.5 ? { value: a, method: null } : { value: b, method };
+        case 'circular':
+            return { value: Math.round(lerpAngle(a, b, fraction)), method };
+        default:
+            return { value: matchPrecision(lerp(a, b, fraction), a, b), method };
+    }
+}
@@ -0,0 +1,288 @@
+/**
+ * Meteorology Utilities
+ * Derives comfort and aviation indices from the raw hourly parameters: heat
+ * index, wind chill, wet-bulb temperature, WBGT, humidex, Beaufort force and
+ * cloud-base height
+ *
+ * Inputs are in the provider's units (°C, %, km/h; see weather-providers/series.js).
+ * Each function returns null when an input is missing or the formula isn't
+ * defined for the conditions, rather than extrapolating.
+ */
+
+// Beaufort forces by lower wind-speed limit in m/s (WMO Manual on Codes, code table 1100)
+const BEAUFORT_LIMITS = [0.3, 1.6, 3.4, 5.5, 8.0, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7];
+
+const BEAUFORT_DESCRIPTIONS = [
+    'Calm',
+    'Light air',
+    'Light breeze',
+    'Gentle breeze',
+    'Moderate breeze',
+    'Fresh breeze',
+    'Strong breeze',
+    'Near gale',
+    'Gale',
+    'Strong gale',
+    'Storm',
+    'Violent storm',
+    'Hurricane force'
+];
+
+// Metres of cloud base per degree of dew-point depression
+const CLOUD_BASE_M_PER_DEGREE = 125;
+
+/**
+ * Check that every input is a number
+ * @param {...*} values - Inputs
+ * @returns {boolean} True if all are numbers
+ */
+function hasValues(...values) {
+    return values.every(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round1(value) {
+    return parseFloat(value.toFixed(1));
+}
+
+/**
+ * Heat index, following the NWS algorithm: Steadman's simple formula, switching
+ * to the Rothfusz (1990) regression with its low- and high-humidity adjustments
+ * once the result reaches 80 °F
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} Heat index in °C
+ */
+export function heatIndex(temperature, humidity) {
+    if (!hasValues(temperature, humidity)) return null;
+
+    const t = temperature * 9 / 5 + 32;
+    const rh = humidity;
+
+    let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+    if ((hi + t) / 2 >= 80) {
+        hi = -42.379 + 2.04901523 * t + 10.14333127 * rh
+            - 0.22475541 * t * rh - 0.00683783 * t * t - 0.05481717 * rh * rh
+            + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh
+            - 0.00000199 * t * t * rh * rh;
+
+        if (rh < 13 && t >= 80 && t <= 112) {
+            hi -= (13 - rh) / 4 * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+        } else if (rh > 85 && t >= 80 && t <= 87) {
+            hi += (rh - 85) / 10 * ((87 - t) / 5);
+        }
+    }
+
+    return round1((hi - 32) * 5 / 9);
+}
+
+/**
+ * Wind chill, using the NWS/Environment Canada (2001) formula in its metric form
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} windSpeed - Wind speed at 10 m in km/h
+ * @returns {number|null} Wind chill in °C, or null above 10 °C or in wind of 4.8 km/h or less
+ */
+export function windChill(temperature, windSpeed) {
+    if (!hasValues(temperature, windSpeed)) return null;
+    if (temperature > 10 || windSpeed <= 4.8) return null;
+
+    const v = windSpeed ** 0.16;
+    return round1(13.12 + 0.6215 * temperature - 11.37 * v + 0.3965 * temperature * v);
+}
+
+/**
+ * Wet-bulb temperature from temperature and humidity alone (Stull 2011), which
+ * assumes sea-level pressure and is accurate to about ±1 °C
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} Wet-bulb temperature in °C, or null outside 5-99 % humidity
+ *   and -20 to 50 °C, where the fit doesn't hold
+ */
+export function wetBulbTemperature(temperature, humidity) {
+    if (!hasValues(temperature, humidity)) return null;
+    if (humidity < 5 || humidity > 99 || temperature < -20 || temperature > 50) return null;
+
+    const t = temperature;
+    const rh = humidity;
+    return round1(
+        t * Math.atan(0.151977 * Math.sqrt(rh + 8.313659))
+        + Math.atan(t + rh) - Math.atan(rh - 1.676331)
+        + 0.00391838 * rh ** 1.5 * Math.atan(0.023101 * rh)
+        - 4.686035
+    );
+}
+
+/**
+ * Wet-bulb globe temperature estimate, using the Australian Bureau of
+ * Meteorology's approximation for shade and light wind
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} WBGT in °C
+ */
+export function wbgtEstimate(temperature, humidity) {
+    if (!hasValues(temperature, humidity)) return null;
+
+    const vapourPressure = humidity / 100 * 6.105 * Math.exp(17.27 * temperature / (237.7 + temperature));
+    return round1(0.567 * temperature + 0.393 * vapourPressure + 3.94);
+}
+
+/**
+ * Humidex, Environment Canada's formula (Masterton & Richardson 1979)
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} dewPoint - Dew point in °C
+ * @returns {number|null} Humidex, a dimensionless number read like °C
+ */
+export function humidex(temperature, dewPoint) {
+    if (!hasValues(temperature, dewPoint)) return null;
+
+    const vapourPressure = 6.11 * Math.exp(5417.7530 * (1 / 273.16 - 1 / (273.15 + dewPoint)));
+    return round1(temperature + 0.5555 * (vapourPressure - 10));
+}
+
+/**
+ * Beaufort force for a wind speed
+ * @param {number} windSpeed - Wind speed at 10 m in km/h
+ * @returns {number|null} Force 0-12
+ */
+export function beaufortScale(windSpeed) {
+    if (!hasValues(windSpeed)) return null;
+
+    const metresPerSecond = windSpeed / 3.6;
+    return BEAUFORT_LIMITS.filter(limit => metresPerSecond >= limit).length;
+}
+
+/**
+ * Describe a Beaufort force, e.g. 4 → "Moderate breeze"
+ * @param {number} force - Force 0-12
+ * @returns {string} Description
+ */
+export function getBeaufortDescription(force) {
+    return BEAUFORT_DESCRIPTIONS[force] || `Force ${force}`;
+}
+
+/**
+ * Height of the base of convective cloud above the ground, from the
+ * temperature/dew-point spread (Espy's rule, about 125 m per °C)
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} dewPoint - Dew point in °C
+ * @returns {number|null} Cloud base in metres above ground level
+ */
+export function cloudBaseHeight(temperature, dewPoint) {
+    if (!hasValues(temperature, dewPoint)) return null;
+
+    return Math.round(Math.max(0, temperature - dewPoint) * CLOUD_BASE_M_PER_DEGREE);
+}
+
+/**
+ * Every derived metric: the hourly parameters it needs, how it's computed,
+ * its unit, and the formula to cite alongside it
+ */
+export const DERIVED_METRICS = {
+    heat_index: {
+        inputs: ['temperature_2m', 'relative_humidity_2m'],
+        compute: (v) => heatIndex(v.temperature_2m, v.relative_humidity_2m),
+        unit: '°C',
+        formula: 'NWS heat index: Rothfusz (1990) regression with NWS adjustments, Steadman simple formula below 80 °F'
+    },
+    wind_chill: {
+        inputs: ['temperature_2m', 'wind_speed_10m'],
+        compute: (v) => windChill(v.temperature_2m, v.wind_speed_10m),
+        unit: '°C',
+        formula: 'NWS/Environment Canada wind chill (2001); defined at 10 °C or colder with wind above 4.8 km/h'
+    },
+    wet_bulb_temperature: {
+        inputs: ['temperature_2m', 'relative_humidity_2m'],
+        compute: (v) => wetBulbTemperature(v.temperature_2m, v.relative_humidity_2m),
+        unit: '°C',
+        formula: 'Stull (2011), J. Appl. Meteor. Climatol. 50, 2267-2269; valid for 5-99 % humidity and -20 to 50 °C'
+    },
+    wbgt: {
+        inputs: ['temperature_2m', 'relative_humidity_2m'],
+        compute: (v) => wbgtEstimate(v.temperature_2m, v.relative_humidity_2m),
+        unit: '°C',
+        formula: 'Australian Bureau of Meteorology WBGT approximation (0.567 T + 0.393 e + 3.94); assumes shade and light wind'
+    },
+    humidex: {
+        inputs: ['temperature_2m', 'dew_point_2m'],
+        compute: (v) => humidex(v.temperature_2m, v.dew_point_2m),
+        unit: '',
+        formula: 'Environment Canada humidex (Masterton & Richardson 1979)'
+    },
+    beaufort_scale: {
+        inputs: ['wind_speed_10m'],
+        compute: (v) => beaufortScale(v.wind_speed_10m),
+        unit: 'Bft',
+        formula: 'Beaufort scale, WMO wind-speed limits at 10 m'
+    },
+    cloud_base_height: {
+        inputs: ['temperature_2m', 'dew_point_2m'],
+        compute: (v) => cloudBaseHeight(v.temperature_2m, v.dew_point_2m),
+        unit: 'm',
+        formula: "Espy's rule: 125 m per °C of temperature/dew-point spread, above ground level"
+    }
+};
+
+// Unit of each derived metric, alongside UNITS for the raw parameters
+export const DERIVED_UNITS = Object.fromEntries(
+    Object.entries(DERIVED_METRICS).map(([param, { unit }]) => [param, unit])
+);
+
+/**
+ * Get the derived metrics that can be computed from the parameters available
+ * @param {Array<string>} params - Hourly parameters present
+ * @returns {Array<string>} Derived metric names
+ */
+function getAvailableMetrics(params) {
+    return Object.keys(DERIVED_METRICS)
+        .filter(metric => DERIVED_METRICS[metric].inputs.every(input => params.includes(input)));
+}
+
+/**
+ * Compute the derived metrics for one sample
+ * @param {Object} values - Hourly values at one time, keyed by parameter
+ * @returns {Object} Derived values keyed by metric; metrics whose inputs the
+ *   provider doesn't supply are left out
+ */
+export function deriveMetrics(values) {
+    const derived = {};
+    getAvailableMetrics(Object.keys(values)).forEach(metric => {
+        derived[metric] = DERIVED_METRICS[metric].compute(values);
+    });
+    return derived;
+}
+
+/**
+ * Compute the derived metrics for every hour of a series
+ * @param {Object} hourly - Hourly arrays keyed by parameter
+ * @returns {Object} Derived arrays keyed by metric
+ */
+export function deriveMetricSeries(hourly) {
+    const metrics = getAvailableMetrics(Object.keys(hourly));
+    const derived = Object.fromEntries(metrics.map(metric => [metric, []]));
+
+    hourly.time.forEach((time, i) => {
+        const values = {};
+        Object.keys(hourly).forEach(param => {
+            values[param] = hourly[param][i];
+        });
+        metrics.forEach(metric => derived[metric].push(DERIVED_METRICS[metric].compute(values)));
+    });
+    return derived;
+}
+
+/**
+ * Get the formula cited for each derived metric present
+ * @param {Array<string>} params - Parameters in a result
+ * @returns {Object} Formula citation keyed by metric
+ */
+export function getDerivedFormulas(params) {
+    const formulas = {};
+    params.forEach(param => {
+        if (DERIVED_METRICS[param]) formulas[param] = DERIVED_METRICS[param].formula;
+    });
+    return formulas;
+}
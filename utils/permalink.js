@@ -0,0 +1,99 @@
+/**
+ * Permalink Utilities
+ * Encodes a lookup (location, date, time and options) into a shareable query string
+ *
+ * Links carry the place name alongside the coordinates so the recipient sees the
+ * sender's label. Anyone can edit a URL, so the decoded name is untrusted text and
+ * must only ever be rendered as text or escaped.
+ */
+
+import { DEFAULT_UNIT_SETTINGS, normalizeUnitSettings } from './units.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+/**
+ * Encode a lookup as a query string
+ * @param {Object} state - Lookup state
+ * @param {Object} state.address - Selected address {latitude, longitude, display_name}
+ * @param {string} state.date - Date in YYYY-MM-DD format
+ * @param {string} state.time - Time in HH:MM format
+ * @param {boolean} state.interpolate - Whether interpolation is on
+ * @param {Object|null} state.end - Range end {date, time}, or null for a single time
+ * @param {Object} state.units - Unit settings {system, overrides}
+ * @returns {string} Query string including the leading "?"
+ */
+export function encodePermalink({ address, date, time, interpolate = false, end = null, units = DEFAULT_UNIT_SETTINGS }) {
+    const params = new URLSearchParams({
+        lat: address.latitude.toFixed(6),
+        lon: address.longitude.toFixed(6),
+        name: address.display_name,
+        date,
+        time
+    });
+
+    if (end) {
+        params.set('end_date', end.date);
+        params.set('end_time', end.time);
+    } else if (interpolate) {
+        params.set('interp', '1');
+    }
+
+    // Overrides are written as quantity:unit pairs, e.g. "speed:kn,pressure:hPa"
+    const { system, overrides } = normalizeUnitSettings(units);
+    params.set('units', system);
+    const overrideList = Object.entries(overrides).map(([quantity, unit]) => `${quantity}:${unit}`);
+    if (overrideList.length > 0) {
+        params.set('unit_overrides', overrideList.join(','));
+    }
+
+    return `?${params.toString()}`;
+}
+
+/**
+ * Decode a lookup from a query string
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object|null} Lookup state (see encodePermalink), or null if the
+ *                        query string doesn't describe a complete, valid lookup
+ */
+export function decodePermalink(search) {
+    const params = new URLSearchParams(search);
+    const latitude = parseFloat(params.get('lat'));
+    const longitude = parseFloat(params.get('lon'));
+    const date = params.get('date') || '';
+    const time = params.get('time') || '';
+
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) return null;
+    if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) return null;
+    if (!DATE_PATTERN.test(date) || !TIME_PATTERN.test(time)) return null;
+
+    const endDate = params.get('end_date') || '';
+    const endTime = params.get('end_time') || '';
+    const end = DATE_PATTERN.test(endDate) && TIME_PATTERN.test(endTime)
+        ? { date: endDate, time: endTime }
+        : null;
+
+    // Older links without unit settings leave the viewer's own preference alone
+    let units = null;
+    if (params.has('units')) {
+        const overrides = {};
+        (params.get('unit_overrides') || '').split(',').filter(Boolean).forEach(pair => {
+            const [quantity, unit] = pair.split(':');
+            overrides[quantity] = unit;
+        });
+        units = normalizeUnitSettings({ system: params.get('units'), overrides });
+    }
+
+    return {
+        address: {
+            latitude,
+            longitude,
+            display_name: params.get('name') || `${latitude}, ${longitude}`
+        },
+        date,
+        time,
+        interpolate: params.get('interp') === '1',
+        end,
+        units
+    };
+}
@@ -0,0 +1,133 @@
+/**
+ * Timezone Utilities
+ * Converts between wall-clock times at a location and UTC instants using
+ * the browser's built-in IANA timezone database (Intl API)
+ */
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached Intl formatter that breaks an instant into wall-clock parts
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} Formatter for the zone
+ */
+function getPartsFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {number} instant - Milliseconds since the Unix epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} Parts {year, month, day, hour, minute, second} as numbers
+ */
+function getZonedParts(instant, timeZone) {
+    const parts = {};
+    getPartsFormatter(timeZone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    return parts;
+}
+
+/**
+ * Get the UTC offset of a timezone at a specific instant (DST-aware)
+ * @param {number} instant - Milliseconds since the Unix epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset from UTC in seconds (e.g. -18000 for UTC-05:00)
+ */
+export function getTimeZoneOffset(instant, timeZone) {
+    const p = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / 1000);
+}
+
+/**
+ * Convert a wall-clock date and time at a location to a UTC instant
+ *
+ * Times that fall inside a DST gap (e.g. 02:30 on a spring-forward day) are
+ * shifted forward by the gap, matching what a clock on the wall would show.
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Milliseconds since the Unix epoch
+ */
+export function zonedTimeToUtc(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute || 0);
+
+    // The true offset is one of the offsets either side of a nearby DST
+    // transition: try both and keep the candidates that round-trip
+    const firstOffset = getTimeZoneOffset(wallClock, timeZone);
+    const secondOffset = getTimeZoneOffset(wallClock - firstOffset * 1000, timeZone);
+    const candidates = [firstOffset, secondOffset].map(offset => wallClock - offset * 1000);
+    const valid = candidates.filter(instant =>
+        instant + getTimeZoneOffset(instant, timeZone) * 1000 === wallClock
+    );
+
+    // Ambiguous times (DST fall-back) resolve to the earlier instant;
+    // nonexistent times (DST gap) resolve to the later one
+    return valid.length > 0 ? Math.min(...valid) : Math.max(...candidates);
+}
+
+/**
+ * Format an instant as a local ISO-style timestamp in a timezone
+ * @param {number} instant - Milliseconds since the Unix epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Timestamp in YYYY-MM-DDTHH:MM format
+ */
+export function formatInTimeZone(instant, timeZone) {
+    const p = getZonedParts(instant, timeZone);
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Get the short timezone abbreviation in effect at an instant (e.g. "CDT")
+ * @param {number} instant - Milliseconds since the Unix epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Abbreviation, or a GMT offset label where none exists
+ */
+export function getTimeZoneAbbreviation(instant, timeZone) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date(instant))
+        .find(({ type }) => type === 'timeZoneName');
+    return part ? part.value : '';
+}
+
+/**
+ * Format a UTC offset in seconds as a label
+ * @param {number} offsetSeconds - Offset from UTC in seconds
+ * @returns {string} Label such as "UTC-05:00" or "UTC+05:30"
+ */
+export function formatUtcOffset(offsetSeconds) {
+    const sign = offsetSeconds < 0 ? '-' : '+';
+    const totalMinutes = Math.round(Math.abs(offsetSeconds) / 60);
+    const hours = Math.floor(totalMinutes / 60).toString().padStart(2, '0');
+    const minutes = (totalMinutes % 60).toString().padStart(2, '0');
+    return `UTC${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Shift a calendar date by a number of days
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+export function shiftDate(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
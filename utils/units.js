@@ -0,0 +1,230 @@
+/**
+ * Unit Conversion Utilities
+ * Converts weather data from Open-Meteo's metric units into the user's preferred
+ * units, with metric/imperial presets and per-quantity overrides
+ */
+
+const STORAGE_KEY = 'unitSettings';
+
+/**
+ * Units available for each physical quantity. The first unit is the one
+ * Open-Meteo returns; `fromBase` converts from it and `decimals` sets the
+ * rounding shown to users.
+ */
+export const QUANTITIES = {
+    temperature: {
+        label: 'Temperature',
+        units: {
+            '°C': { fromBase: v => v, decimals: 1 },
+            '°F': { fromBase: v => v * 9 / 5 + 32, decimals: 1 }
+        }
+    },
+    speed: {
+        label: 'Wind speed',
+        units: {
+            'km/h': { fromBase: v => v, decimals: 1 },
+            'mph': { fromBase: v => v / 1.609344, decimals: 1 },
+            'm/s': { fromBase: v => v / 3.6, decimals: 1 },
+            'kn': { fromBase: v => v / 1.852, decimals: 1 }
+        }
+    },
+    precipitation: {
+        label: 'Rain & evapotranspiration',
+        units: {
+            'mm': { fromBase: v => v, decimals: 1 },
+            'in': { fromBase: v => v / 25.4, decimals: 2 }
+        }
+    },
+    snowfall: {
+        label: 'Snowfall',
+        units: {
+            'cm': { fromBase: v => v, decimals: 1 },
+            'mm': { fromBase: v => v * 10, decimals: 0 },
+            'in': { fromBase: v => v / 2.54, decimals: 1 }
+        }
+    },
+    depth: {
+        label: 'Snow depth',
+        units: {
+            'm': { fromBase: v => v, decimals: 2 },
+            'cm': { fromBase: v => v * 100, decimals: 0 },
+            'in': { fromBase: v => v * 39.37008, decimals: 1 },
+            'ft': { fromBase: v => v * 3.28084, decimals: 2 }
+        }
+    },
+    distance: {
+        label: 'Visibility',
+        units: {
+            'm': { fromBase: v => v, decimals: 0 },
+            'km': { fromBase: v => v / 1000, decimals: 1 },
+            'mi': { fromBase: v => v / 1609.344, decimals: 1 },
+            'ft': { fromBase: v => v * 3.28084, decimals: 0 }
+        }
+    },
+    height: {
+        label: 'Cloud base',
+        units: {
+            'm': { fromBase: v => v, decimals: 0 },
+            'ft': { fromBase: v => v * 3.28084, decimals: 0 }
+        }
+    },
+    pressure: {
+        label: 'Pressure',
+        units: {
+            'hPa': { fromBase: v => v, decimals: 1 },
+            'inHg': { fromBase: v => v * 0.02952998, decimals: 2 },
+            'mmHg': { fromBase: v => v * 0.7500617, decimals: 0 },
+            'kPa': { fromBase: v => v / 10, decimals: 2 }
+        }
+    }
+};
+
+// Quantity measured by each convertible hourly parameter
+const PARAM_QUANTITIES = {
+    temperature_2m: 'temperature',
+    apparent_temperature: 'temperature',
+    dew_point_2m: 'temperature',
+    soil_temperature_0_to_7cm: 'temperature',
+    heat_index: 'temperature',
+    wind_chill: 'temperature',
+    wet_bulb_temperature: 'temperature',
+    wbgt: 'temperature',
+    wind_speed_10m: 'speed',
+    wind_gusts_10m: 'speed',
+    precipitation: 'precipitation',
+    rain: 'precipitation',
+    et0_fao_evapotranspiration: 'precipitation',
+    snowfall: 'snowfall',
+    snow_depth: 'depth',
+    visibility: 'distance',
+    cloud_base_height: 'height',
+    surface_pressure: 'pressure',
+    pressure_msl: 'pressure'
+};
+
+export const PRESETS = {
+    metric: {
+        temperature: '°C',
+        speed: 'km/h',
+        precipitation: 'mm',
+        snowfall: 'cm',
+        depth: 'm',
+        distance: 'm',
+        height: 'm',
+        pressure: 'hPa'
+    },
+    imperial: {
+        temperature: '°F',
+        speed: 'mph',
+        precipitation: 'in',
+        snowfall: 'in',
+        depth: 'in',
+        distance: 'mi',
+        height: 'ft',
+        pressure: 'inHg'
+    }
+};
+
+export const DEFAULT_UNIT_SETTINGS = { system: 'metric', overrides: {} };
+
+/**
+ * Drop unknown systems and overrides, e.g. from old storage or a hand-edited URL
+ * @param {Object} settings - Unit settings {system, overrides}
+ * @returns {Object} Valid unit settings
+ */
+export function normalizeUnitSettings(settings) {
+    const system = PRESETS[settings?.system] ? settings.system : DEFAULT_UNIT_SETTINGS.system;
+    const overrides = {};
+    Object.entries(settings?.overrides || {}).forEach(([quantity, unit]) => {
+        if (QUANTITIES[quantity]?.units[unit] && PRESETS[system][quantity] !== unit) {
+            overrides[quantity] = unit;
+        }
+    });
+    return { system, overrides };
+}
+
+/**
+ * Resolve the unit to show for each quantity
+ * @param {Object} settings - Unit settings {system, overrides}
+ * @returns {Object} Unit per quantity
+ */
+export function resolveUnits(settings) {
+    const { system, overrides } = normalizeUnitSettings(settings);
+    return { ...PRESETS[system], ...overrides };
+}
+
+/**
+ * Convert and round a single value from Open-Meteo units
+ * @param {string} param - Hourly parameter name
+ * @param {*} value - Value in Open-Meteo units
+ * @param {Object} units - Unit per quantity from resolveUnits
+ * @returns {*} Converted value (non-numeric values are returned unchanged)
+ */
+export function convertValue(param, value, units) {
+    const quantity = PARAM_QUANTITIES[param];
+    if (!quantity || typeof value !== 'number') return value;
+
+    const { fromBase, decimals } = QUANTITIES[quantity].units[units[quantity]];
+    return parseFloat(fromBase(value).toFixed(decimals));
+}
+
+/**
+ * Convert a weather result into the preferred units without touching the original
+ * @param {Object} weatherData - Result from getWeatherData or getWeatherRange
+ * @param {Object} settings - Unit settings {system, overrides}
+ * @returns {Object} Copy of the result with converted values and units
+ */
+export function convertWeatherData(weatherData, settings) {
+    const units = resolveUnits(settings);
+
+    const convertedUnits = { ...weatherData.units };
+    Object.keys(convertedUnits).forEach(param => {
+        const quantity = PARAM_QUANTITIES[param];
+        if (quantity) convertedUnits[param] = units[quantity];
+    });
+
+    const converted = { ...weatherData, units: convertedUnits };
+
+    if (weatherData.hourly_data) {
+        converted.hourly_data = { ...weatherData.hourly_data };
+        Object.keys(converted.hourly_data).forEach(param => {
+            converted.hourly_data[param] = convertValue(param, converted.hourly_data[param], units);
+        });
+    }
+
+    if (weatherData.hourly) {
+        converted.hourly = { ...weatherData.hourly };
+        Object.keys(converted.hourly).forEach(param => {
+            if (param !== 'time') {
+                converted.hourly[param] = converted.hourly[param].map(value => convertValue(param, value, units));
+            }
+        });
+    }
+
+    return converted;
+}
+
+/**
+ * Load the saved unit settings
+ * @returns {Object} Unit settings {system, overrides}
+ */
+export function loadUnitSettings() {
+    try {
+        return normalizeUnitSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+    } catch {
+        return { ...DEFAULT_UNIT_SETTINGS };
+    }
+}
+
+/**
+ * Save unit settings locally for future visits
+ * @param {Object} settings - Unit settings {system, overrides}
+ */
+export function saveUnitSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeUnitSettings(settings)));
+    } catch (err) {
+        // Storage can be unavailable (private browsing, quota); the setting still applies this session
+        console.warn('Could not save unit settings:', err);
+    }
+}
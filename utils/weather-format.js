@@ -0,0 +1,115 @@
+/**
+ * Weather Formatting Utilities
+ * Turns weather values into display text: condition names, wind directions,
+ * values with units, interpolation markers and timezone labels. Shared by the
+ * components that render results.
+ */
+
+/**
+ * Get human-readable weather condition from WMO code
+ * @param {number} code - WMO weather code
+ * @returns {string} Weather condition description
+ */
+export function getWeatherCondition(code) {
+    const conditions = {
+        0: 'Clear sky',
+        1: 'Mainly clear',
+        2: 'Partly cloudy',
+        3: 'Overcast',
+        45: 'Foggy',
+        48: 'Depositing rime fog',
+        51: 'Light drizzle',
+        53: 'Moderate drizzle',
+        55: 'Dense drizzle',
+        56: 'Light freezing drizzle',
+        57: 'Dense freezing drizzle',
+        61: 'Slight rain',
+        63: 'Moderate rain',
+        65: 'Heavy rain',
+        66: 'Light freezing rain',
+        67: 'Heavy freezing rain',
+        71: 'Slight snow fall',
+        73: 'Moderate snow fall',
+        75: 'Heavy snow fall',
+        77: 'Snow grains',
+        80: 'Slight rain showers',
+        81: 'Moderate rain showers',
+        82: 'Violent rain showers',
+        85: 'Slight snow showers',
+        86: 'Heavy snow showers',
+        95: 'Thunderstorm',
+        96: 'Thunderstorm with slight hail',
+        99: 'Thunderstorm with heavy hail'
+    };
+    return conditions[code] || `Unknown (${code})`;
+}
+
+/**
+ * Format a weather data value with its unit
+ * @param {*} value - The value to format
+ * @param {string} unit - The unit string
+ * @returns {string} Formatted value with unit
+ */
+export function formatValue(value, unit) {
+    if (value === null || value === undefined) {
+        return 'N/A';
+    }
+    return unit ? `${value} ${unit}` : `${value}`;
+}
+
+/**
+ * Format a parameter from the weather data with its unit, marking it if interpolated
+ * @param {Object} weatherData - Weather data from getWeatherData
+ * @param {string} param - Hourly parameter name
+ * @returns {string} Formatted value HTML
+ */
+export function formatField(weatherData, param) {
+    const { hourly_data, units } = weatherData;
+    return markInterpolated(weatherData, param, formatValue(hourly_data[param], units[param]));
+}
+
+/**
+ * Append an interpolation marker to a formatted value when the field was
+ * estimated from the surrounding hourly samples rather than read directly
+ * @param {Object} weatherData - Weather data from getWeatherData
+ * @param {string} param - Hourly parameter name
+ * @param {string} formatted - Already formatted value
+ * @returns {string} Formatted value HTML
+ */
+export function markInterpolated(weatherData, param, formatted) {
+    const method = weatherData.interpolated_fields?.[param];
+    if (!method) return formatted;
+
+    const titles = {
+        linear: 'Linearly interpolated between hourly samples',
+        circular: 'Interpolated along the shortest arc between hourly samples',
+        nearest: 'Taken from the nearest hourly sample'
+    };
+    return `${formatted} <span class="interpolated-marker" title="${titles[method]}">≈</span>`;
+}
+
+/**
+ * Get wind direction from degrees
+ * @param {number} degrees - Wind direction in degrees
+ * @returns {string} Cardinal direction
+ */
+export function getWindDirection(degrees) {
+    if (degrees === null || degrees === undefined) return 'N/A';
+    const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    const index = Math.round(degrees / 22.5) % 16;
+    return `${directions[index]} (${degrees}°)`;
+}
+
+/**
+ * Format the location's timezone with the UTC offset in effect at the requested time
+ * @param {Object} weatherData - Weather data from getWeatherData
+ * @returns {string} Label such as "America/Chicago (CDT, UTC-05:00)"
+ */
+export function getTimezoneLabel(weatherData) {
+    const { timezone, timezone_abbreviation, utc_offset } = weatherData;
+    if (!timezone) return 'N/A';
+
+    const details = [timezone_abbreviation, utc_offset]
+        .filter((part, i, parts) => part && parts.indexOf(part) === i);
+    return details.length > 0 ? `${timezone} (${details.join(', ')})` : timezone;
+}